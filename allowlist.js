@@ -0,0 +1,150 @@
+/**
+ * OpenPII Watcher - Allowlist (JavaScript)
+ * Known-safe values, email domains and patterns whose findings are ignored
+ */
+
+class Allowlist {
+    /**
+     * entries: { values, domains, patterns } - see setEntries()
+     */
+    constructor(entries = {}) {
+        this.setEntries(entries);
+    }
+
+    /**
+     * Replace the allowlist
+     * entries:
+     *   values   - exact values, compared ignoring case, spacing and (for
+     *              numbers) punctuation, e.g. "support@example.com", "555-0100"
+     *   domains  - email domains, with or without "@"; subdomains match too
+     *   patterns - regex sources tested (case-insensitively) against values
+     * Throws on a non-string entry or an invalid regex, leaving the list unchanged
+     */
+    setEntries(entries = {}) {
+        const lists = {};
+        for (const key of ['values', 'domains', 'patterns']) {
+            const list = entries[key] === undefined ? [] : entries[key];
+            if (!Array.isArray(list) || list.some(entry => typeof entry !== 'string')) {
+                throw new Error(`Allowlist "${key}" must be an array of strings`);
+            }
+            lists[key] = list.map(entry => entry.trim()).filter(Boolean);
+        }
+
+        const patterns = lists.patterns.map(source => {
+            try {
+                return new RegExp(source, 'i');
+            } catch (error) {
+                throw new Error(`Invalid allowlist pattern "${source}": ${error.message}`);
+            }
+        });
+
+        this.entries = lists;
+        this.values = new Map(lists.values.map(value => [this.canonical(value), value]));
+        this.domains = lists.domains.map(domain => domain.replace(/^@/, '').toLowerCase());
+        this.patterns = patterns;
+    }
+
+    /**
+     * Current entries as a JSON-serializable config
+     */
+    getEntries() {
+        return {
+            values: [...this.entries.values],
+            domains: [...this.entries.domains],
+            patterns: [...this.entries.patterns]
+        };
+    }
+
+    /**
+     * Number of entries
+     */
+    size() {
+        return this.entries.values.length + this.entries.domains.length + this.entries.patterns.length;
+    }
+
+    /**
+     * Comparison form of a value: numbers (7+ digits, no letters) by their
+     * digits, anything else lowercase with collapsed whitespace
+     */
+    canonical(value) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length >= 7 && !/\p{L}/u.test(value)) {
+            return digits;
+        }
+        return value.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * The entry a finding ({ type, value, normalized? }) is allowed by, as a
+     * short description, or null
+     */
+    match(finding) {
+        const candidates = [finding.value, finding.normalized].filter(Boolean);
+
+        for (const candidate of candidates) {
+            const value = this.values.get(this.canonical(candidate));
+            if (value) {
+                return `value ${value}`;
+            }
+
+            const at = candidate.lastIndexOf('@');
+            if (finding.type === 'email' && at !== -1) {
+                const domain = candidate.substring(at + 1).toLowerCase();
+                const allowed = this.domains.find(entry => domain === entry || domain.endsWith(`.${entry}`));
+                if (allowed) {
+                    return `domain @${allowed}`;
+                }
+            }
+
+            const pattern = this.patterns.find(re => re.test(candidate));
+            if (pattern) {
+                return `pattern /${pattern.source}/`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split spans into kept and ignored ones; ignored spans carry the
+     * matching entry as allowedBy
+     * Companions (decoded findings riding on a span) are checked one by one;
+     * when the span itself is ignored, its first kept companion takes over
+     * its range
+     */
+    partition(spans) {
+        const kept = [];
+        const ignored = [];
+        if (this.size() === 0) {
+            return { kept: spans, ignored };
+        }
+
+        for (const { companions, ...span } of spans) {
+            const members = [];
+            for (const member of [span, ...(companions || [])]) {
+                const allowedBy = this.match(member);
+                if (allowedBy) {
+                    ignored.push({ ...member, allowedBy });
+                } else {
+                    members.push(member);
+                }
+            }
+
+            if (members.length > 0) {
+                const [first, ...rest] = members;
+                kept.push({
+                    ...first,
+                    start: span.start,
+                    end: span.end,
+                    ...(rest.length > 0 ? { companions: rest } : {})
+                });
+            }
+        }
+        return { kept, ignored };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Allowlist;
+}
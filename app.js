@@ -6,93 +6,1367 @@
 // Initialize modules
 const detector = new PIIDetector();
 const fetcher = new ContentFetcher();
+const extractor = new FileTextExtractor();
+const structuredScanner = new StructuredScanner(detector);
+const batchScanner = new BatchScanner(fetcher, (text, hint) => detectionClient.scan(text, () => {}, hint));
+const redactor = new Redactor(detector);
+const exporter = new ReportExporter(detector, redactor);
+const riskScorer = new RiskScorer(detector);
+const recommender = new RecommendationEngine(detector);
+const viewer = new DocumentViewer(document.getElementById('content-display'), detector);
+const scanHistory = new ScanHistory(detector);
+const allowlist = new Allowlist();
+const detectionClient = new DetectionClient(detector);
 
 // DOM elements
 const urlInput = document.getElementById('url-input');
 const analyzeBtn = document.getElementById('analyze-btn');
 const loadingSection = document.getElementById('loading-section');
 const resultsSection = document.getElementById('results-section');
-const exampleBtns = document.querySelectorAll('.example-btn');
-
-// Performance metrics (will be loaded from evaluation results)
-const performanceMetrics = {
-    email: { precision: 0.89, recall: 0.87, f1: 0.88 },
-    phone: { precision: 0.82, recall: 0.79, f1: 0.80 },
-    name: { precision: 0.85, recall: 0.81, f1: 0.83 },
-    address: { precision: 0.91, recall: 0.88, f1: 0.89 },
-    ssn: { precision: 0.95, recall: 0.93, f1: 0.94 },
-    credit_card: { precision: 0.93, recall: 0.90, f1: 0.91 }
+const exampleBtns = document.querySelectorAll('.examples .example-btn');
+const strategySelect = document.getElementById('redaction-strategy');
+const downloadBtn = document.getElementById('download-redacted');
+const rulesFileInput = document.getElementById('rules-file');
+const exportRulesBtn = document.getElementById('export-rules');
+const rulesStatus = document.getElementById('rules-status');
+const confidenceSlider = document.getElementById('min-confidence');
+const confidenceValue = document.getElementById('min-confidence-value');
+const loadingStatus = document.getElementById('loading-status');
+const progressFill = document.getElementById('scan-progress-fill');
+const cancelBtn = document.getElementById('cancel-scan-btn');
+const inputTabs = document.querySelectorAll('.input-tab');
+const textInput = document.getElementById('text-input');
+const analyzeTextBtn = document.getElementById('analyze-text-btn');
+const fileInput = document.getElementById('file-input');
+const dropZone = document.getElementById('drop-zone');
+const resultsSource = document.getElementById('results-source');
+const proxyListInput = document.getElementById('proxy-list');
+const fetchTimeoutInput = document.getElementById('fetch-timeout');
+const proxyChoiceSelect = document.getElementById('proxy-choice');
+const fetchSettingsStatus = document.getElementById('fetch-settings-status');
+const batchInput = document.getElementById('batch-input');
+const batchBtn = document.getElementById('batch-btn');
+const batchFileInput = document.getElementById('batch-file');
+const batchSection = document.getElementById('batch-section');
+const batchStatus = document.getElementById('batch-status');
+const batchCancelBtn = document.getElementById('batch-cancel-btn');
+const exportFormatSelect = document.getElementById('export-format');
+const exportMaskInput = document.getElementById('export-mask');
+const navTypeSelect = document.getElementById('nav-type');
+const navPosition = document.getElementById('nav-position');
+const historyEnabledInput = document.getElementById('history-enabled');
+const historyHashedInput = document.getElementById('history-hashed');
+const historyBody = document.getElementById('history-body');
+const deobfuscateInput = document.getElementById('deobfuscate');
+const decodePayloadsInput = document.getElementById('decode-payloads');
+const typeToggles = document.getElementById('type-toggles');
+const allowValuesInput = document.getElementById('allow-values');
+const allowDomainsInput = document.getElementById('allow-domains');
+const allowPatternsInput = document.getElementById('allow-patterns');
+const detectionSettingsStatus = document.getElementById('detection-settings-status');
+
+// Most recent scan: one detection pass feeds the breakdown, the confidence
+// filter and the redacted preview/download
+let lastScan = null;
+
+// Incremented per analysis so a cancelled one never renders
+let analysisId = 0;
+
+// Aborts the fetch of the analysis in progress
+let fetchAbort = null;
+
+// Batch report state: entries from BatchScanner, sort order, expanded row
+let batchEntries = [];
+let batchSort = { key: 'index', dir: 1 };
+let batchAbort = null;
+let expandedEntry = null;
+const batchRows = new Map();
+const batchDetailRow = document.createElement('tr');
+batchDetailRow.className = 'batch-detail';
+batchDetailRow.appendChild(document.createElement('td'));
+
+// Where the results section lives when it is not inside a batch row
+const resultsHome = { parent: resultsSection.parentNode, next: resultsSection.nextSibling };
+
+// Proxy chain and timeout, persisted between visits
+const FETCH_SETTINGS_KEY = 'openpii-fetch-settings';
+
+// Saved scan history options
+const HISTORY_SETTINGS_KEY = 'openpii-history-settings';
+
+// Type toggles, allowlist and de-obfuscation, persisted between visits
+const DETECTION_SETTINGS_KEY = 'openpii-detection-settings';
+
+// Types switched off in the detection settings; a shared link's type list
+// replaces them until "Use my type settings"
+let disabledTypes = [];
+let typesFromLink = false;
+
+// Scan settings a shared link may carry (query string or hash). Links hold
+// the document address and these settings only, never findings or content;
+// a proxy is chosen by the name it has in this browser, never given as a URL
+const LINK_PARAMS = ['url', 'types', 'confidence', 'redaction', 'proxy'];
+
+// What to do about each ContentFetcher error code
+const fetchErrorHelp = {
+    invalid_url: 'Check that the link points to a document on a supported platform.',
+    not_found: 'Check the link for typos; the document may have been deleted.',
+    auth_required: 'The document is private. Only publicly shared links can be scanned; open it while signed in and paste the text instead.',
+    cors_blocked: 'The platform blocks browser requests and no proxy could fetch it. Add a working proxy under "Fetch settings".',
+    rate_limited: 'The platform is throttling requests. Wait a minute and try again.',
+    server_error: 'The platform or proxy had an error. Try again later or use a different proxy.',
+    timeout: 'The platform or proxy did not answer in time. Try again, raise the timeout or use a different proxy.',
+    too_large: 'The document exceeds the size limit. Download it and scan the file locally.'
 };
 
+// Short status for each ContentFetcher error code (batch table)
+const fetchErrorLabels = {
+    invalid_url: 'Unsupported URL',
+    not_found: 'Not found',
+    auth_required: 'Sign-in required',
+    cors_blocked: 'CORS blocked',
+    rate_limited: 'Rate limited',
+    server_error: 'Server error',
+    timeout: 'Timed out',
+    too_large: 'Too large'
+};
+
+// Evaluation results written by `node eval/evaluate.js --update`
+const performanceMetricsUrl = 'eval/results.json';
+let performanceMetrics = null;
+
+/**
+ * Initialize application
+ */
+function init() {
+    // Add event listeners
+    analyzeBtn.addEventListener('click', handleAnalyze);
+    urlInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            handleAnalyze();
+        }
+    });
+
+    // Input modes: shared link, pasted text, local file
+    inputTabs.forEach(tab => {
+        tab.addEventListener('click', () => switchInputMode(tab.dataset.mode));
+    });
+    analyzeTextBtn.addEventListener('click', handleAnalyzeText);
+    fileInput.accept = extractor.getAcceptList();
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) handleAnalyzeFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    document.getElementById('file-formats').textContent =
+        `Supported: ${Object.keys(extractor.formats).join(', ')}`;
+
+    // Drag and drop onto the file zone
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (e.dataTransfer.files[0]) handleAnalyzeFile(e.dataTransfer.files[0]);
+    });
+
+    // Batch mode
+    batchBtn.addEventListener('click', handleBatchAnalyze);
+    batchCancelBtn.addEventListener('click', () => {
+        if (batchAbort) batchAbort.abort();
+        detectionClient.cancel();
+    });
+    batchFileInput.addEventListener('change', async () => {
+        const file = batchFileInput.files[0];
+        if (file) batchInput.value = await file.text();
+        batchFileInput.value = '';
+    });
+
+    // Proxy chain and timeout
+    loadFetchSettings();
+    document.getElementById('save-fetch-settings').addEventListener('click', handleSaveFetchSettings);
+
+    // Scan history (opt-in, IndexedDB)
+    loadHistorySettings();
+    historyEnabledInput.addEventListener('change', saveHistorySettings);
+    historyHashedInput.addEventListener('change', saveHistorySettings);
+    document.getElementById('history-clear').addEventListener('click', handleClearHistory);
+    displayHistory();
+
+    // Supported platforms come from the fetcher's adapter registry
+    displaySupportedPlatforms();
+
+    // Example buttons
+    exampleBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            urlInput.value = btn.dataset.url;
+        });
+    });
+
+    // Redaction strategy selector
+    for (const [name, label] of Object.entries(redactor.strategyLabels)) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        strategySelect.appendChild(option);
+    }
+    strategySelect.addEventListener('change', async () => {
+        if (!lastScan) return;
+        const spans = viewer.views.original.spans;
+        viewer.setView('redacted', await redactor.redactWithSpans(lastScan.fetchResult.content, spans, strategySelect.value));
+    });
+    downloadBtn.addEventListener('click', handleDownloadRedacted);
+
+    // Document view: original/redacted toggle and occurrence navigation
+    document.querySelectorAll('input[name="view-mode"]').forEach(radio => {
+        radio.addEventListener('change', () => viewer.setMode(radio.value));
+    });
+    navTypeSelect.addEventListener('change', () => viewer.setNavigation(navTypeSelect.value || null));
+    document.getElementById('nav-prev').addEventListener('click', () => viewer.step(-1));
+    document.getElementById('nav-next').addEventListener('click', () => viewer.step(1));
+    viewer.onNavigate = displayNavigationPosition;
+
+    // Report export formats
+    for (const [format, info] of Object.entries(exporter.formats)) {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = info.label;
+        exportFormatSelect.appendChild(option);
+    }
+    document.getElementById('export-report').addEventListener('click', handleExportReport);
+    document.getElementById('copy-link').addEventListener('click', handleCopyLink);
+    document.getElementById('use-type-settings').addEventListener('click', applyTypeSettings);
+
+    // Cancel a scan in progress
+    cancelBtn.addEventListener('click', handleCancel);
+
+    // Confidence threshold
+    confidenceSlider.addEventListener('input', () => {
+        confidenceValue.textContent = `${confidenceSlider.value}%`;
+        if (lastScan) {
+            displayResults(getFilteredResults(), lastScan.fetchResult);
+        }
+    });
+
+    // Batch counts follow the threshold once the slider is released
+    confidenceSlider.addEventListener('change', () => {
+        if (batchEntries.length > 0) renderBatchTable();
+    });
+
+    // Custom rule config
+    rulesFileInput.addEventListener('change', handleLoadRules);
+    exportRulesBtn.addEventListener('click', handleExportRules);
+
+    // Type toggles, allowlist and de-obfuscation
+    loadDetectionSettings();
+    document.getElementById('save-detection-settings').addEventListener('click', handleSaveDetectionSettings);
+    document.getElementById('export-detection-settings').addEventListener('click', handleExportDetectionSettings);
+    document.getElementById('detection-settings-file').addEventListener('change', handleImportDetectionSettings);
+
+    // Load performance metrics
+    document.getElementById('metrics-mode').addEventListener('change', displayPerformanceMetrics);
+    loadPerformanceMetrics();
+
+    // Settings (and a document to scan) from the page URL
+    applyLinkParams();
+}
+
+/**
+ * Render supported platforms and the URL placeholder from the adapter registry
+ */
+function displaySupportedPlatforms() {
+    const list = document.getElementById('platform-list');
+    const details = fetcher.getPlatformDetails();
+    list.innerHTML = '';
+
+    for (const [platform, adapter] of Object.entries(fetcher.adapters)) {
+        const tag = document.createElement('span');
+        tag.className = 'platform-tag';
+        tag.textContent = `${adapter.icon} ${adapter.name}`;
+        tag.title = `${details[platform].pattern || ''}\n${details[platform].method || ''}`.trim();
+        list.appendChild(tag);
+    }
+
+    urlInput.placeholder = `Enter a public ${fetcher.getSupportedPlatformNames().join(', ')} URL...`;
+}
+
+/**
+ * Show one input mode panel (url, text or file)
+ */
+function switchInputMode(mode) {
+    inputTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+    document.querySelectorAll('.input-panel').forEach(panel => {
+        panel.style.display = panel.id === `input-panel-${mode}` ? 'block' : 'none';
+    });
+}
+
+/**
+ * Handle analyze button click
+ */
+async function handleAnalyze() {
+    const url = urlInput.value.trim();
+
+    if (!url) {
+        alert('Please enter a URL');
+        return;
+    }
+
+    await runAnalysis('Fetching content...', loadLink(url));
+}
+
+/**
+ * Loader for runAnalysis that fetches a shared link
+ */
+function loadLink(url) {
+    return async (signal) => {
+        const fetchResult = await fetcher.fetchContent(url, { signal });
+        return { ...fetchResult, source: url };
+    };
+}
+
+/**
+ * Analyze text pasted into the text area
+ */
+async function handleAnalyzeText() {
+    const text = textInput.value;
+
+    if (!text.trim()) {
+        alert('Please paste some text');
+        return;
+    }
+
+    await runAnalysis('Analyzing content...', async () => ({
+        success: true,
+        content: text,
+        platform: 'pasted_text',
+        method: 'local',
+        source: 'pasted text'
+    }));
+}
+
+/**
+ * Extract text from a local file and analyze it
+ */
+async function handleAnalyzeFile(file) {
+    await runAnalysis(`Reading ${file.name}...`, async () => {
+        const extracted = await extractor.extract(file);
+        return {
+            ...extracted,
+            platform: 'local_file',
+            method: 'local',
+            source: file.name
+        };
+    });
+}
+
+/**
+ * Shared analysis pipeline: load content, detect PII, display results
+ * load(signal) resolves to a fetch result { success, content, platform, method, source, error, errorCode }
+ * Options: baseline - stored scan to diff the results against
+ */
+async function runAnalysis(loadingMessage, load, options = {}) {
+    const id = ++analysisId;
+    const controller = new AbortController();
+    fetchAbort = controller;
+
+    // Show loading, hide results (and take them out of any batch row)
+    collapseBatchEntry();
+    setProgress(loadingMessage, 0);
+    loadingSection.style.display = 'block';
+    resultsSection.style.display = 'none';
+    setAnalyzeDisabled(true);
+
+    try {
+        // Load content
+        const fetchResult = await load(controller.signal);
+        if (id !== analysisId) return; // Cancelled while loading
+
+        if (!fetchResult.success) {
+            const error = new Error(fetchResult.error || 'Failed to fetch content');
+            error.code = fetchResult.errorCode;
+            throw error;
+        }
+
+        // Detect PII (off the main thread, in chunks); CSV/TSV/JSON content
+        // also gets per-column / per-field findings
+        setProgress('Analyzing content...', 0);
+        const { spans, structured } = await detectionClient.scan(fetchResult.content, (done, total) => {
+            setProgress(`Analyzing content... (${done}/${total} chunks)`, done / total);
+        }, fetchResult.source);
+
+        lastScan = {
+            ...applyAllowlist(spans),
+            fetchResult,
+            structured,
+            scannedAt: new Date().toISOString(),
+            baseline: options.baseline || null
+        };
+        
+        // Display results
+        displayResults(getFilteredResults(), fetchResult);
+        saveToHistory();
+
+        // Hide loading, show results
+        loadingSection.style.display = 'none';
+        resultsSection.style.display = 'block';
+
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        loadingSection.style.display = 'none';
+        const help = fetchErrorHelp[error.code];
+        alert(`Error: ${error.message}${help ? `\n\n${help}` : ''}`);
+    } finally {
+        if (id === analysisId) {
+            setAnalyzeDisabled(false);
+        }
+    }
+}
+
+/**
+ * Enable or disable every analyze control
+ */
+function setAnalyzeDisabled(disabled) {
+    analyzeBtn.disabled = disabled;
+    analyzeTextBtn.disabled = disabled;
+    fileInput.disabled = disabled;
+    batchBtn.disabled = disabled;
+}
+
+/**
+ * Fetch and scan every URL in the batch list
+ */
+async function handleBatchAnalyze() {
+    let urls;
+    try {
+        urls = batchScanner.parseUrlList(batchInput.value);
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+        return;
+    }
+    if (urls.length === 0) {
+        alert('Please enter at least one URL');
+        return;
+    }
+
+    // A batch replaces the single-document view
+    analysisId++;
+    collapseBatchEntry();
+    resultsSection.style.display = 'none';
+    loadingSection.style.display = 'none';
+
+    batchAbort = new AbortController();
+    batchEntries = [];
+    batchRows.clear();
+    document.getElementById('batch-body').innerHTML = '';
+    batchSection.style.display = 'block';
+    batchCancelBtn.style.display = 'inline-block';
+    setAnalyzeDisabled(true);
+
+    try {
+        await batchScanner.run(urls, entry => {
+            batchEntries[entry.index] = entry;
+            scheduleBatchRender();
+        }, { signal: batchAbort.signal });
+    } finally {
+        batchAbort = null;
+        batchCancelBtn.style.display = 'none';
+        setAnalyzeDisabled(false);
+        renderBatchTable();
+    }
+}
+
+/**
+ * Re-render the batch table at most once per frame
+ */
+let batchRenderPending = false;
+function scheduleBatchRender() {
+    if (batchRenderPending) return;
+    batchRenderPending = true;
+    requestAnimationFrame(() => {
+        batchRenderPending = false;
+        renderBatchTable();
+    });
+}
+
+/**
+ * Per-type counts, total and risk for a batch entry
+ */
+function summarizeBatchEntry(entry, minConfidence) {
+    const summary = { entry, counts: {}, total: null, risk: null };
+    if (entry.status !== 'done') return summary;
+
+    const { spans } = applyAllowlist(entry.spans);
+    const results = detector.uniqueFromSpans(spans, { minConfidence });
+    summary.total = 0;
+    for (const piiType in results) {
+        if (results[piiType].length > 0) {
+            summary.counts[piiType] = results[piiType].length;
+            summary.total += results[piiType].length;
+        }
+    }
+    summary.risk = assessRisk(results, spans, entry.platform);
+    return summary;
+}
+
+/**
+ * Sort value of a batch summary for a column key
+ */
+function batchSortValue(summary, key) {
+    const entry = summary.entry;
+    switch (key) {
+    case 'index': return entry.index;
+    case 'url': return entry.url;
+    case 'platform': return entry.platform;
+    case 'status': return entry.status;
+    case 'total': return summary.total;
+    case 'risk': return summary.risk ? summary.risk.score : null;
+    default: return summary.total === null ? null : (summary.counts[key] || 0);
+    }
+}
+
+/**
+ * Render the batch report table in the current sort order
+ * Rows are reused so an expanded document view survives updates
+ */
+function renderBatchTable() {
+    const minConfidence = confidenceSlider.value / 100;
+    const summaries = batchEntries.filter(Boolean).map(entry => summarizeBatchEntry(entry, minConfidence));
+    const types = Object.keys(detector.types).filter(t => summaries.some(s => s.counts[t]));
+
+    // Header: fixed columns, then one column per PII type found anywhere
+    const columns = [
+        { key: 'url', label: 'URL' },
+        { key: 'platform', label: 'Platform' },
+        { key: 'status', label: 'Status' },
+        ...types.map(t => ({ key: t, label: detector.getLabel(t) })),
+        { key: 'total', label: 'Total PII' },
+        { key: 'risk', label: 'Risk' }
+    ];
+    const headRow = document.createElement('tr');
+    for (const column of columns) {
+        const th = document.createElement('th');
+        const arrow = batchSort.key === column.key ? (batchSort.dir > 0 ? ' ▲' : ' ▼') : '';
+        th.textContent = column.label + arrow;
+        th.addEventListener('click', () => {
+            batchSort = { key: column.key, dir: batchSort.key === column.key ? -batchSort.dir : 1 };
+            renderBatchTable();
+        });
+        headRow.appendChild(th);
+    }
+    const head = document.getElementById('batch-head');
+    head.innerHTML = '';
+    head.appendChild(headRow);
+
+    // Missing values (pending or failed documents) always sort last
+    summaries.sort((a, b) => {
+        const x = batchSortValue(a, batchSort.key);
+        const y = batchSortValue(b, batchSort.key);
+        const order = x === null || y === null
+            ? (x === null) - (y === null)
+            : (x < y ? -1 : x > y ? 1 : 0) * batchSort.dir;
+        return order || a.entry.index - b.entry.index;
+    });
+
+    const tbody = document.getElementById('batch-body');
+    for (const summary of summaries) {
+        const row = renderBatchRow(summary, types);
+        tbody.appendChild(row);
+        if (summary.entry === expandedEntry) {
+            batchDetailRow.firstChild.colSpan = columns.length;
+            tbody.appendChild(batchDetailRow);
+        }
+    }
+
+    const count = status => summaries.filter(s => s.entry.status === status).length;
+    const finished = count('done') + count('failed') + count('cancelled');
+    batchStatus.textContent = `${finished} of ${summaries.length} link(s) processed: ` +
+        `${count('done')} scanned, ${count('failed')} failed` +
+        (count('cancelled') ? `, ${count('cancelled')} cancelled` : '');
+}
+
+/**
+ * Fill (or create) the table row for one batch entry
+ */
+function renderBatchRow(summary, types) {
+    const entry = summary.entry;
+    let row = batchRows.get(entry.index);
+    if (!row) {
+        row = document.createElement('tr');
+        row.addEventListener('click', () => {
+            if (entry.status === 'done') toggleBatchEntry(entry);
+        });
+        batchRows.set(entry.index, row);
+    }
+    row.innerHTML = '';
+    row.className = entry.status === 'done' ? 'batch-row-expandable' : '';
+    if (entry === expandedEntry) row.classList.add('batch-row-expanded');
+
+    const addCell = (text, className, title) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (className) cell.className = className;
+        if (title) cell.title = title;
+        row.appendChild(cell);
+    };
+
+    const adapter = fetcher.adapters[entry.platform];
+    addCell(entry.url, 'batch-url', entry.url);
+    addCell(adapter ? adapter.name : '—');
+
+    if (entry.status === 'failed') {
+        const help = fetchErrorHelp[entry.errorCode];
+        addCell(`✗ ${fetchErrorLabels[entry.errorCode] || 'Failed'}`, 'batch-status-failed',
+            `${entry.error || ''}${help ? `\n${help}` : ''}`);
+    } else if (entry.status === 'done') {
+        const result = entry.fetchResult;
+        addCell(`✓ ${result.proxy ? `via ${result.proxy}` : result.method}`);
+    } else {
+        addCell({ queued: 'Queued', fetching: 'Fetching…', scanning: 'Scanning…', cancelled: 'Cancelled' }[entry.status]);
+    }
+
+    for (const piiType of types) {
+        addCell(summary.total === null ? '' : String(summary.counts[piiType] || 0));
+    }
+    addCell(summary.total === null ? '' : String(summary.total));
+    addCell(summary.risk ? `${summary.risk.level} (${summary.risk.score})` : '', summary.risk && summary.risk.className ? `batch-${summary.risk.className}` : '');
+
+    return row;
+}
+
+/**
+ * Open (or close) the full results view for a batch entry under its row
+ */
+function toggleBatchEntry(entry) {
+    if (expandedEntry === entry) {
+        collapseBatchEntry();
+        resultsSection.style.display = 'none';
+        renderBatchTable();
+        return;
+    }
+
+    expandedEntry = entry;
+    lastScan = {
+        ...applyAllowlist(entry.spans),
+        fetchResult: entry.fetchResult,
+        structured: entry.structured,
+        scannedAt: entry.scannedAt,
+        baseline: null
+    };
+    displayResults(getFilteredResults(), entry.fetchResult);
+
+    batchDetailRow.firstChild.appendChild(resultsSection);
+    resultsSection.style.display = 'block';
+    renderBatchTable();
+}
+
+/**
+ * Move the results section out of the batch table, back to its place
+ */
+function collapseBatchEntry() {
+    if (!expandedEntry) return;
+
+    expandedEntry = null;
+    resultsHome.parent.insertBefore(resultsSection, resultsHome.next);
+    batchDetailRow.remove();
+}
+
+/**
+ * Apply saved proxy chain and timeout to the fetcher and the settings form
+ */
+function loadFetchSettings() {
+    let proxyChoice = 'auto';
+    try {
+        const saved = JSON.parse(localStorage.getItem(FETCH_SETTINGS_KEY) || 'null');
+        if (saved) {
+            fetcher.setProxies(saved.proxies);
+            fetcher.timeout = saved.timeout;
+            proxyChoice = saved.proxyChoice || 'auto';
+        }
+    } catch (error) {
+        console.log(`Ignoring saved fetch settings: ${error.message}`);
+    }
+
+    proxyListInput.value = fetcher.proxies.map(proxy => proxy.url).join('\n');
+    fetchTimeoutInput.value = fetcher.timeout / 1000;
+    try {
+        applyProxyChoice(proxyChoice);
+    } catch (error) {
+        applyProxyChoice('auto'); // The saved proxy is no longer in the chain
+    }
+}
+
+/**
+ * Fill the proxy choice list from the configured chain
+ */
+function populateProxyChoice() {
+    proxyChoiceSelect.innerHTML = '';
+    proxyChoiceSelect.appendChild(new Option('Automatic (each proxy in order)', 'auto'));
+    proxyChoiceSelect.appendChild(new Option('None (direct fetch only)', 'direct'));
+    for (const proxy of fetcher.proxies) {
+        proxyChoiceSelect.appendChild(new Option(`Only ${proxy.name}`, proxy.name));
+    }
+}
+
+/**
+ * Restrict the fetcher to a proxy choice: 'auto', 'direct' or a proxy name
+ */
+function applyProxyChoice(choice) {
+    fetcher.useProxies(choice === 'auto' ? null : choice === 'direct' ? [] : [choice]);
+    populateProxyChoice();
+    proxyChoiceSelect.value = choice;
+}
+
+/**
+ * Current proxy choice: 'auto', 'direct' or a proxy name
+ */
+function getProxyChoice() {
+    if (fetcher.enabledProxies === null) return 'auto';
+    return fetcher.enabledProxies.length === 0 ? 'direct' : fetcher.enabledProxies[0];
+}
+
+/**
+ * Validate, apply and save the fetch settings form
+ */
+function handleSaveFetchSettings() {
+    const proxies = proxyListInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const seconds = parseFloat(fetchTimeoutInput.value);
+
+    try {
+        if (!(seconds > 0)) {
+            throw new Error('Timeout must be a positive number of seconds');
+        }
+        fetcher.setProxies(proxies);
+        fetcher.timeout = seconds * 1000;
+        // A proxy removed from the list falls back to automatic
+        const choice = proxyChoiceSelect.value;
+        applyProxyChoice(fetcher.proxies.some(proxy => proxy.name === choice) || choice === 'direct' ? choice : 'auto');
+        localStorage.setItem(FETCH_SETTINGS_KEY, JSON.stringify({
+            proxies: fetcher.proxies,
+            timeout: fetcher.timeout,
+            proxyChoice: getProxyChoice()
+        }));
+        fetchSettingsStatus.textContent = `Saved: ${proxies.length} proxy(ies), ${seconds}s timeout`;
+    } catch (error) {
+        alert(`Error saving fetch settings: ${error.message}`);
+    }
+}
+
+/**
+ * Apply saved history options to the form
+ */
+function loadHistorySettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(HISTORY_SETTINGS_KEY) || 'null');
+        if (saved) {
+            historyEnabledInput.checked = Boolean(saved.enabled);
+            historyHashedInput.checked = Boolean(saved.hashed);
+        }
+    } catch (error) {
+        console.log(`Ignoring saved history settings: ${error.message}`);
+    }
+}
+
+/**
+ * Save the history options form
+ */
+function saveHistorySettings() {
+    localStorage.setItem(HISTORY_SETTINGS_KEY, JSON.stringify({
+        enabled: historyEnabledInput.checked,
+        hashed: historyHashedInput.checked
+    }));
+}
+
+/**
+ * Current detection settings as a JSON-serializable object
+ */
+function getDetectionSettings() {
+    return {
+        version: 1,
+        deobfuscate: deobfuscateInput.checked,
+        decodePayloads: decodePayloadsInput.checked,
+        disabledTypes: [...disabledTypes],
+        allowlist: allowlist.getEntries()
+    };
+}
+
+/**
+ * Validate and apply detection settings; throws (changing nothing) when invalid
+ * settings: { deobfuscate, decodePayloads, disabledTypes, allowlist: { values, domains, patterns } }
+ */
+function applyDetectionSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('Settings must be a JSON object');
+    }
+    const disabled = settings.disabledTypes || [];
+    if (!Array.isArray(disabled) || disabled.some(type => typeof type !== 'string')) {
+        throw new Error('"disabledTypes" must be an array of type ids');
+    }
+    if (detector.getTypes().every(type => disabled.includes(type))) {
+        throw new Error('At least one PII type must stay enabled');
+    }
+    allowlist.setEntries(settings.allowlist || {});
+
+    // Ids of custom types not loaded yet are kept for when they are
+    disabledTypes = [...new Set(disabled)];
+    // Optional stages, off unless enabled (as in the CLI)
+    deobfuscateInput.checked = settings.deobfuscate === true;
+    detector.setNormalizer(deobfuscateInput.checked ? new Deobfuscator() : null);
+    decodePayloadsInput.checked = settings.decodePayloads === true;
+    detector.setDecoder(decodePayloadsInput.checked ? new PayloadDecoder() : null);
+    applyTypeSettings();
+
+    allowValuesInput.value = allowlist.entries.values.join('\n');
+    allowDomainsInput.value = allowlist.entries.domains.join('\n');
+    allowPatternsInput.value = allowlist.entries.patterns.join('\n');
+}
+
+/**
+ * Scan every type except the disabled ones (replacing a link's type list)
+ */
+function applyTypeSettings() {
+    typesFromLink = false;
+    const enabled = detector.getTypes().filter(type => !disabledTypes.includes(type));
+    detector.setEnabledTypes(enabled.length === detector.getTypes().length ? null : enabled);
+    renderTypeToggles();
+    displayTypeRestriction();
+}
+
+/**
+ * One checkbox per detector type, checked unless disabled in the settings
+ */
+function renderTypeToggles() {
+    typeToggles.innerHTML = '';
+    for (const piiType of detector.getTypes()) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.value = piiType;
+        input.checked = !disabledTypes.includes(piiType);
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${detector.getLabel(piiType)}`));
+        typeToggles.appendChild(label);
+    }
+}
+
+/**
+ * Detection settings as entered in the form
+ */
+function readDetectionSettingsForm() {
+    const lines = textarea => textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const unchecked = [...typeToggles.querySelectorAll('input')].filter(input => !input.checked).map(input => input.value);
+
+    return {
+        version: 1,
+        deobfuscate: deobfuscateInput.checked,
+        decodePayloads: decodePayloadsInput.checked,
+        // Unknown (not yet loaded) custom types keep their saved state
+        disabledTypes: [...disabledTypes.filter(type => !detector.getTypes().includes(type)), ...unchecked],
+        allowlist: {
+            values: lines(allowValuesInput),
+            domains: lines(allowDomainsInput),
+            patterns: lines(allowPatternsInput)
+        }
+    };
+}
+
+/**
+ * Apply saved detection settings (or the defaults) to the detector and form
+ */
+function loadDetectionSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DETECTION_SETTINGS_KEY) || 'null');
+        if (saved) {
+            applyDetectionSettings(saved);
+            return;
+        }
+    } catch (error) {
+        console.log(`Ignoring saved detection settings: ${error.message}`);
+    }
+    applyDetectionSettings({});
+}
+
+/**
+ * Persist detection settings and re-filter the results on screen
+ */
+function storeDetectionSettings(message) {
+    localStorage.setItem(DETECTION_SETTINGS_KEY, JSON.stringify(getDetectionSettings()));
+    detectionSettingsStatus.textContent = message;
+
+    // The allowlist applies to the current results right away; type and
+    // de-obfuscation changes from the next scan
+    if (lastScan) {
+        Object.assign(lastScan, applyAllowlist(lastScan.allSpans));
+        displayResults(getFilteredResults(), lastScan.fetchResult);
+    }
+    if (batchEntries.length > 0) renderBatchTable();
+}
+
+/**
+ * Save the detection settings form
+ */
+function handleSaveDetectionSettings() {
+    try {
+        applyDetectionSettings(readDetectionSettingsForm());
+        storeDetectionSettings(`Saved (${allowlist.size()} allowlist entr${allowlist.size() === 1 ? 'y' : 'ies'})`);
+    } catch (error) {
+        detectionSettingsStatus.textContent = error.message;
+    }
+}
+
+/**
+ * Download the detection settings as JSON
+ */
+function handleExportDetectionSettings() {
+    const blob = new Blob([JSON.stringify(getDetectionSettings(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = 'openpii-settings.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Load detection settings from a JSON file
+ */
+async function handleImportDetectionSettings(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        applyDetectionSettings(JSON.parse(await file.text()));
+        storeDetectionSettings(`Imported settings from ${file.name}`);
+    } catch (error) {
+        detectionSettingsStatus.textContent = `Could not import ${file.name}: ${error.message}`;
+    } finally {
+        event.target.value = '';
+    }
+}
+
+/**
+ * Scan spans split by the allowlist
+ * Returns: { spans (kept), ignored, allSpans }
+ */
+function applyAllowlist(spans) {
+    const { kept, ignored } = allowlist.partition(spans);
+    return { spans: kept, ignored, allSpans: spans };
+}
+
+/**
+ * Store the last scan in the history when enabled
+ */
+async function saveToHistory() {
+    if (!historyEnabledInput.checked || !scanHistory.isAvailable()) return;
+
+    try {
+        const risk = assessRisk(getFilteredResults(), lastScan.spans, lastScan.fetchResult.platform);
+        await scanHistory.save({ ...lastScan, risk }, { hashed: historyHashedInput.checked });
+        await displayHistory();
+    } catch (error) {
+        console.log(`Could not save scan history: ${error.message}`);
+    }
+}
+
+/**
+ * List stored scans, newest first
+ */
+async function displayHistory() {
+    const status = document.getElementById('history-status');
+    historyBody.innerHTML = '';
+
+    if (!scanHistory.isAvailable()) {
+        status.textContent = 'Scan history needs IndexedDB, which this browser does not provide.';
+        return;
+    }
+
+    let records;
+    try {
+        records = await scanHistory.list();
+    } catch (error) {
+        status.textContent = `Scan history unavailable: ${error.message}`;
+        return;
+    }
+    status.textContent = records.length === 0
+        ? 'No saved scans yet.'
+        : `${records.length} saved scan(s).`;
+
+    for (const record of records) {
+        const row = document.createElement('tr');
+        const addCell = text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+            return cell;
+        };
+
+        addCell(new Date(record.scannedAt).toLocaleString());
+        addCell(record.source).className = 'batch-url';
+        const adapter = fetcher.adapters[record.platform];
+        addCell(adapter ? adapter.name : record.platform.replace('_', ' '));
+        addCell(`${record.findings.length}${record.hashed ? ' (hashed)' : ''}`);
+        addCell(`${record.risk.level} (${record.risk.score})`);
+
+        const actions = addCell('');
+        if (adapter) {
+            const rescan = document.createElement('button');
+            rescan.className = 'example-btn';
+            rescan.textContent = 'Rescan';
+            rescan.title = 'Fetch the document again and compare with this scan';
+            rescan.addEventListener('click', () => handleRescan(record));
+            actions.appendChild(rescan);
+        }
+        const remove = document.createElement('button');
+        remove.className = 'example-btn';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', async () => {
+            await scanHistory.remove(record.id);
+            displayHistory();
+        });
+        actions.appendChild(remove);
+
+        historyBody.appendChild(row);
+    }
+}
+
 /**
- * Initialize application
+ * Fetch a stored scan's link again and diff against it
  */
-function init() {
-    // Add event listeners
-    analyzeBtn.addEventListener('click', handleAnalyze);
-    urlInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-            handleAnalyze();
-        }
-    });
+async function handleRescan(record) {
+    switchInputMode('url');
+    urlInput.value = record.source;
+    await runAnalysis('Re-fetching content...', loadLink(record.source), { baseline: record });
+    if (lastScan && lastScan.baseline === record) {
+        document.getElementById('diff-section').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
 
-    // Example buttons
-    exampleBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            urlInput.value = btn.dataset.url;
-        });
+/**
+ * Delete every stored scan
+ */
+async function handleClearHistory() {
+    if (!confirm('Delete every saved scan from this browser?')) return;
+    await scanHistory.clear();
+    displayHistory();
+}
+
+// Incremented per displayScanDiff call so a slow diff never overwrites a newer one
+let diffRenderId = 0;
+
+/**
+ * Show findings removed, remaining and new since the baseline scan
+ */
+async function displayScanDiff() {
+    const id = ++diffRenderId;
+    const section = document.getElementById('diff-section');
+    const baseline = lastScan.baseline;
+    if (!baseline) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const diff = await scanHistory.diff(baseline, lastScan.spans, {
+        minConfidence: confidenceSlider.value / 100
     });
+    if (id !== diffRenderId) return;
 
-    // Load performance metrics
-    displayPerformanceMetrics();
+    document.getElementById('diff-title').textContent =
+        `Changes Since ${new Date(baseline.scannedAt).toLocaleString()}`;
+
+    for (const group of ['removed', 'remaining', 'added']) {
+        const container = document.getElementById(`diff-${group}`);
+        document.getElementById(`diff-${group}-count`).textContent = diff[group].length;
+        container.innerHTML = '';
+
+        for (const finding of diff[group]) {
+            const tag = document.createElement('span');
+            tag.className = `pii-tag diff-${group}`;
+            // Hashed history only identifies a value by its hash
+            tag.textContent = finding.value !== null ? finding.value : `#${finding.key.substring(0, 8)}`;
+            if (finding.value !== null && group !== 'removed') {
+                tag.addEventListener('click', () => jumpToOccurrences(finding.type, finding.normalized || finding.value));
+            }
+
+            const note = document.createElement('span');
+            note.className = 'pii-tag-note';
+            note.textContent = detector.getLabel(finding.type);
+            if (group === 'remaining' && finding.previousCount !== finding.count) {
+                note.textContent += ` · ${finding.previousCount} → ${finding.count}`;
+            }
+            tag.appendChild(note);
+            container.appendChild(tag);
+        }
+    }
+
+    section.style.display = 'block';
 }
 
 /**
- * Handle analyze button click
+ * Link parameters from the query string, overridden by the hash
  */
-async function handleAnalyze() {
-    const url = urlInput.value.trim();
+function readLinkParams() {
+    const params = new URLSearchParams(window.location.search);
+    for (const [key, value] of new URLSearchParams(window.location.hash.replace(/^#/, ''))) {
+        params.set(key, value);
+    }
+    return params;
+}
 
-    if (!url) {
-        alert('Please enter a URL');
-        return;
+/**
+ * Apply settings from the page URL and scan the linked document, if any
+ */
+function applyLinkParams() {
+    const params = readLinkParams();
+    if (!LINK_PARAMS.some(key => params.has(key))) return;
+
+    const applied = [];
+    const ignored = [];
+
+    if (params.has('types')) {
+        const requested = params.get('types').split(',').map(type => type.trim()).filter(Boolean);
+        const known = requested.filter(type => detector.getTypes().includes(type));
+        if (known.length < requested.length) {
+            ignored.push(`unknown type(s) ${requested.filter(type => !known.includes(type)).join(', ')}`);
+        }
+        if (known.length > 0) {
+            detector.setEnabledTypes(known);
+            typesFromLink = true;
+            applied.push(`${known.length} type(s)`);
+        }
     }
 
-    // Show loading, hide results
-    loadingSection.style.display = 'block';
-    resultsSection.style.display = 'none';
-    analyzeBtn.disabled = true;
+    if (params.has('confidence')) {
+        const value = Number(params.get('confidence'));
+        if (value >= 0 && value <= 100) {
+            confidenceSlider.value = value;
+            confidenceValue.textContent = `${confidenceSlider.value}%`;
+            applied.push(`${confidenceSlider.value}% minimum confidence`);
+        } else {
+            ignored.push(`confidence "${params.get('confidence')}"`);
+        }
+    }
 
-    try {
-        // Fetch content
-        const fetchResult = await fetcher.fetchContent(url);
+    if (params.has('redaction')) {
+        const strategy = params.get('redaction');
+        if (redactor.strategyLabels[strategy]) {
+            strategySelect.value = strategy;
+            applied.push(`${redactor.strategyLabels[strategy]} redaction`);
+        } else {
+            ignored.push(`redaction "${strategy}"`);
+        }
+    }
 
-        if (!fetchResult.success) {
-            throw new Error(fetchResult.error || 'Failed to fetch content');
+    if (params.has('proxy')) {
+        const choice = params.get('proxy');
+        if (choice === 'auto' || choice === 'direct' || fetcher.proxies.some(proxy => proxy.name === choice)) {
+            applyProxyChoice(choice);
+            applied.push(choice === 'direct' ? 'direct fetch only' : `proxy ${choice}`);
+        } else {
+            ignored.push(`proxy "${choice}" (not configured in this browser)`);
         }
+    }
 
-        // Detect PII
-        const piiResults = detector.getUniqueValues(fetchResult.content);
-        
-        // Display results
-        displayResults(piiResults, fetchResult);
+    displayTypeRestriction();
+    document.getElementById('link-status').textContent = [
+        applied.length > 0 ? `Settings from link: ${applied.join(', ')}.` : '',
+        ignored.length > 0 ? `Ignored ${ignored.join('; ')}.` : ''
+    ].join(' ').trim();
 
-        // Hide loading, show results
-        loadingSection.style.display = 'none';
-        resultsSection.style.display = 'block';
+    const url = params.get('url');
+    if (url) {
+        switchInputMode('url');
+        urlInput.value = url;
+        handleAnalyze();
+    }
+}
+
+/**
+ * Link that reproduces the current scan: the document address (for shared
+ * links only) and the scan settings, in the hash so it is not sent to the
+ * server hosting the app
+ */
+function buildScanLink() {
+    const params = new URLSearchParams();
+    if (lastScan && fetcher.adapters[lastScan.fetchResult.platform]) {
+        params.set('url', lastScan.fetchResult.source);
+    }
+    if (detector.enabledTypes !== null) {
+        params.set('types', detector.enabledTypes.join(','));
+    }
+    if (confidenceSlider.value !== '0') {
+        params.set('confidence', confidenceSlider.value);
+    }
+    if (strategySelect.value !== redactor.defaultStrategy) {
+        params.set('redaction', strategySelect.value);
+    }
+    if (getProxyChoice() !== 'auto') {
+        params.set('proxy', getProxyChoice());
+    }
+
+    const link = new URL(window.location.href);
+    link.search = '';
+    link.hash = params.toString();
+    return link.href;
+}
+
+/**
+ * Write the current scan into the page URL and copy it
+ */
+async function handleCopyLink() {
+    const status = document.getElementById('copy-link-status');
+    const link = buildScanLink();
+    window.history.replaceState(null, '', link);
 
+    const note = lastScan && !fetcher.adapters[lastScan.fetchResult.platform]
+        ? ' (settings only: pasted text and local files cannot be linked)'
+        : '';
+    try {
+        await navigator.clipboard.writeText(link);
+        status.textContent = `Link copied${note}`;
     } catch (error) {
-        loadingSection.style.display = 'none';
-        alert(`Error: ${error.message}`);
+        status.textContent = `Copy the link from the address bar${note}`;
+    }
+}
+
+/**
+ * Show whether detection is limited to some types (by a link or the
+ * detection settings)
+ */
+function displayTypeRestriction() {
+    const container = document.getElementById('type-restriction');
+    if (detector.enabledTypes === null) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const label = types => types.map(type => detector.getLabel(type)).join(', ');
+    document.getElementById('type-restriction-text').textContent = typesFromLink
+        ? `Scanning only (from link): ${label(detector.enabledTypes)}`
+        : `Not scanning: ${label(detector.getTypes().filter(type => !detector.isTypeEnabled(type)))}`;
+    document.getElementById('use-type-settings').style.display = typesFromLink ? '' : 'none';
+    container.style.display = 'flex';
+}
+
+/**
+ * Cancel the analysis in progress
+ */
+function handleCancel() {
+    analysisId++;
+    if (fetchAbort) fetchAbort.abort();
+    detectionClient.cancel();
+    loadingSection.style.display = 'none';
+    setAnalyzeDisabled(false);
+}
+
+/**
+ * Update loading status text and progress bar (fraction 0-1)
+ */
+function setProgress(message, fraction) {
+    loadingStatus.textContent = message;
+    progressFill.style.width = `${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * Unique matches of the last scan at the selected confidence threshold
+ */
+function getFilteredResults() {
+    return detector.uniqueFromSpans(lastScan.spans, {
+        minConfidence: confidenceSlider.value / 100
+    });
+}
+
+/**
+ * Load custom detector types and/or risk weights from a JSON rule config
+ */
+async function handleLoadRules() {
+    const file = rulesFileInput.files[0];
+    if (!file) return;
+
+    try {
+        const config = JSON.parse(await file.text());
+        if (!config || (!config.types && !config.risk && !config.recommendations)) {
+            throw new Error('Rule config must have a "types" array or a "risk" or "recommendations" object');
+        }
+
+        const loaded = [];
+        if (config.risk) {
+            riskScorer.configure(config.risk);
+            loaded.push('risk weights');
+        }
+        if (config.recommendations) {
+            recommender.configure(config.recommendations);
+            loaded.push(`${(config.recommendations.rules || []).length} recommendation rule(s)`);
+        }
+        if (config.types) {
+            const ids = detector.importConfig(config);
+            const custom = detector.exportConfig().types.length;
+            loaded.push(`${ids.length} rule(s) (${custom} custom type(s) active)`);
+
+            // New types get a toggle and are scanned unless switched off
+            renderTypeToggles();
+            if (!typesFromLink) applyTypeSettings();
+        }
+        rulesStatus.textContent = `Loaded ${loaded.join(' and ')} from ${file.name}`;
+    } catch (error) {
+        alert(`Error loading rules: ${error.message}`);
     } finally {
-        analyzeBtn.disabled = false;
+        rulesFileInput.value = '';
+    }
+}
+
+/**
+ * Download the active custom rules, risk weights and recommendation rules as JSON
+ */
+function handleExportRules() {
+    const config = JSON.stringify({
+        ...detector.exportConfig(),
+        risk: riskScorer.exportConfig(),
+        recommendations: recommender.exportConfig()
+    }, null, 2);
+    const blob = new Blob([config], { type: 'application/json' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = 'openpii-rules.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Describe where the scanned content came from
+ */
+function describeSource(fetchResult) {
+    if (fetchResult.platform === 'local_file') {
+        return `Source: local file — ${fetchResult.source}`;
+    }
+    if (fetchResult.platform === 'pasted_text') {
+        return 'Source: pasted text';
     }
+
+    const adapter = fetcher.adapters[fetchResult.platform];
+    const name = adapter ? adapter.name : fetchResult.platform;
+    const method = fetchResult.proxy ? `via proxy ${fetchResult.proxy}` : `${fetchResult.method} fetch`;
+    return `Source: ${name} (${method}) — ${fetchResult.source}`;
+}
+
+/**
+ * Risk of a document from its unique results, the spans above the
+ * confidence threshold (for combinations) and its platform
+ * Returns: { level, className, score, breakdown }
+ */
+function assessRisk(piiResults, spans, platform) {
+    const minConfidence = confidenceSlider.value / 100;
+    const visible = spans.filter(span => span.confidence >= minConfidence);
+    return riskScorer.score(piiResults, visible, platform);
 }
 
 /**
  * Display detection results
  */
 function displayResults(piiResults, fetchResult) {
+    resultsSource.textContent = describeSource(fetchResult);
+
     // Calculate totals
     let totalPII = 0;
     let typesDetected = 0;
@@ -105,34 +1379,64 @@ function displayResults(piiResults, fetchResult) {
         }
     }
 
-    // Risk level
-    let riskLevel = 'LOW';
-    let riskClass = '';
-    
-    if (totalPII > 20) {
-        riskLevel = 'HIGH';
-        riskClass = 'risk-high';
-    } else if (totalPII > 5) {
-        riskLevel = 'MEDIUM';
-        riskClass = 'risk-medium';
-    }
+    // Risk score
+    const risk = assessRisk(piiResults, lastScan.spans, fetchResult.platform);
 
     // Update summary stats
     document.getElementById('total-pii').textContent = totalPII;
     document.getElementById('pii-types').textContent = typesDetected;
-    document.getElementById('risk-level').textContent = riskLevel;
+    document.getElementById('risk-level').textContent = risk.level;
     
     const riskCard = document.querySelector('.stat-card.risk-level');
-    riskCard.className = `stat-card risk-level ${riskClass}`;
+    riskCard.className = `stat-card risk-level ${risk.className}`;
+    document.getElementById('risk-score').textContent = risk.score;
+    displayRiskBreakdown(risk);
 
-    // Display PII breakdown
+    // Display PII breakdown, and what the allowlist suppressed
     displayPIIBreakdown(piiResults);
+    displayIgnoredFindings();
+
+    // Display per-column / per-field findings for structured content
+    displayStructuredFindings(lastScan.structured);
+
+    // Display the highlighted document
+    displayDocument(fetchResult.content, lastScan.spans);
 
-    // Display anonymized content preview
-    displayContentPreview(fetchResult.content);
+    // Changes since the scan a rescan started from
+    displayScanDiff();
 
     // Display recommendations
-    displayRecommendations(piiResults, totalPII);
+    displayRecommendations(recommender.recommend(piiResults, fetchResult.platform));
+}
+
+/**
+ * List the contributions behind the risk score
+ */
+function displayRiskBreakdown(risk) {
+    const list = document.getElementById('risk-breakdown-list');
+    list.innerHTML = '';
+
+    if (risk.breakdown.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'Nothing found that adds risk.';
+        list.appendChild(li);
+        return;
+    }
+
+    for (const item of risk.breakdown) {
+        const li = document.createElement('li');
+
+        const points = document.createElement('span');
+        points.className = 'risk-points';
+        points.textContent = `+${item.points.toFixed(1)}`;
+
+        const text = document.createElement('span');
+        text.textContent = `${item.kind === 'combination' ? 'Combination: ' : ''}${item.label} — ${item.detail}`;
+
+        li.appendChild(points);
+        li.appendChild(text);
+        list.appendChild(li);
+    }
 }
 
 /**
@@ -143,32 +1447,68 @@ function displayPIIBreakdown(piiResults) {
     container.innerHTML = '';
 
     for (const piiType in piiResults) {
-        const values = piiResults[piiType];
+        const matches = piiResults[piiType];
         
-        if (values.length === 0) continue;
+        if (matches.length === 0) continue;
 
         const itemDiv = document.createElement('div');
         itemDiv.className = 'pii-item';
+        itemDiv.style.borderLeftColor = viewer.getTypeColor(piiType);
 
         const title = document.createElement('h4');
-        title.textContent = `${detector.getLabel(piiType)} (${values.length} found)`;
+        title.textContent = `${detector.getLabel(piiType)} (${matches.length} found)`;
 
         const valuesDiv = document.createElement('div');
         valuesDiv.className = 'pii-values';
 
         // Display up to 10 values
-        const displayValues = values.slice(0, 10);
-        displayValues.forEach(value => {
+        const displayMatches = matches.slice(0, 10);
+        displayMatches.forEach(match => {
             const tag = document.createElement('span');
             tag.className = 'pii-tag';
-            tag.textContent = value;
+            tag.textContent = match.value;
+            tag.addEventListener('click', () => jumpToOccurrences(piiType, match.normalized || match.value));
+            if (match.normalized && match.normalized !== match.value) {
+                tag.title = match.normalized;
+            }
+
+            const score = document.createElement('span');
+            score.className = 'pii-tag-score';
+            score.textContent = `${Math.round(match.confidence * 100)}%`;
+            score.title = 'Confidence';
+            tag.appendChild(score);
+
+            // Show which validation the match passed (e.g. "valid Visa")
+            if (match.validation) {
+                const note = document.createElement('span');
+                note.className = 'pii-tag-note';
+                note.textContent = match.validation.label;
+                tag.appendChild(note);
+            }
+
+            // Written in a disguised form, a sign it was shared on purpose
+            if (match.obfuscated) {
+                const note = document.createElement('span');
+                note.className = 'pii-tag-note';
+                note.textContent = 'obfuscated';
+                tag.appendChild(note);
+            }
+
+            // Found inside an encoded blob, e.g. "decoded: base64 → URL-decoded"
+            if (match.decodePath) {
+                const note = document.createElement('span');
+                note.className = 'pii-tag-note';
+                note.textContent = `decoded: ${match.decodePath.join(' → ')}`;
+                tag.appendChild(note);
+            }
+
             valuesDiv.appendChild(tag);
         });
 
-        if (values.length > 10) {
+        if (matches.length > 10) {
             const more = document.createElement('span');
             more.className = 'pii-tag';
-            more.textContent = `... and ${values.length - 10} more`;
+            more.textContent = `... and ${matches.length - 10} more`;
             more.style.fontStyle = 'italic';
             valuesDiv.appendChild(more);
         }
@@ -184,90 +1524,262 @@ function displayPIIBreakdown(piiResults) {
 }
 
 /**
- * Display anonymized content preview
+ * List the unique findings the allowlist suppressed, above the confidence threshold
  */
-function displayContentPreview(content) {
-    const container = document.getElementById('content-display');
-    
-    // Anonymize content
-    const anonymized = detector.anonymize(content);
-    
-    // Show first 1000 characters
-    const preview = anonymized.substring(0, 1000);
-    container.textContent = preview + (anonymized.length > 1000 ? '\n\n... (content truncated)' : '');
+function displayIgnoredFindings() {
+    const section = document.getElementById('ignored-details');
+    const container = document.getElementById('ignored-values');
+    const ignored = detector.uniqueFromSpans(lastScan.ignored, {
+        minConfidence: confidenceSlider.value / 100
+    });
+    const matches = Object.values(ignored).flat();
+
+    document.getElementById('ignored-count').textContent = matches.length;
+    document.getElementById('ignored-details-count').textContent = matches.length;
+    container.innerHTML = '';
+    section.style.display = matches.length > 0 ? 'block' : 'none';
+
+    for (const match of matches) {
+        const tag = document.createElement('span');
+        tag.className = 'pii-tag';
+        tag.textContent = match.value;
+        tag.title = `Allowed by ${match.allowedBy}`;
+
+        const note = document.createElement('span');
+        note.className = 'pii-tag-note';
+        note.textContent = detector.getLabel(match.type);
+        tag.appendChild(note);
+        container.appendChild(tag);
+    }
 }
 
 /**
- * Display security recommendations
+ * Display findings per CSV column or JSON path
  */
-function displayRecommendations(piiResults, totalPII) {
-    const list = document.getElementById('recommendations-list');
-    list.innerHTML = '';
+function displayStructuredFindings(structured) {
+    const section = document.getElementById('structured-section');
+    const tbody = document.getElementById('structured-body');
+    tbody.innerHTML = '';
 
-    const recommendations = [];
+    const summary = structured ? structuredScanner.summarize(structured, {
+        minConfidence: confidenceSlider.value / 100,
+        exclude: match => allowlist.match(match) !== null
+    }) : [];
 
-    if (totalPII === 0) {
-        recommendations.push('No PII detected. This document appears safe for public sharing.');
-    } else {
-        recommendations.push('This document contains personally identifiable information (PII).');
-        
-        if (piiResults.email && piiResults.email.length > 0) {
-            recommendations.push(`Found ${piiResults.email.length} email address(es). Consider removing or redacting them.`);
-        }
-        
-        if (piiResults.phone && piiResults.phone.length > 0) {
-            recommendations.push(`Found ${piiResults.phone.length} phone number(s). These should not be publicly accessible.`);
-        }
-        
-        if (piiResults.ssn && piiResults.ssn.length > 0) {
-            recommendations.push('⚠️ CRITICAL: Social Security Numbers detected. Remove immediately!');
-        }
-        
-        if (piiResults.credit_card && piiResults.credit_card.length > 0) {
-            recommendations.push('⚠️ CRITICAL: Credit card numbers detected. Remove immediately!');
+    if (summary.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    const isJson = structured.format === 'json';
+    document.getElementById('structured-title').textContent =
+        `Findings by ${isJson ? 'JSON Field' : 'Column'} (${structured.records} record(s), ${structured.format.toUpperCase()})`;
+
+    for (const field of summary) {
+        for (const [piiType, stats] of Object.entries(field.types)) {
+            const row = document.createElement('tr');
+
+            const fieldCell = document.createElement('td');
+            fieldCell.textContent = field.label;
+            if (isJson) fieldCell.style.fontFamily = 'monospace';
+
+            const typeCell = document.createElement('td');
+            typeCell.textContent = `${stats.count} ${detector.getLabel(piiType)}`;
+            if (field.hints.includes(piiType)) {
+                const note = document.createElement('span');
+                note.className = 'pii-tag-note';
+                note.textContent = 'matches header';
+                typeCell.appendChild(note);
+            }
+
+            const recordsCell = document.createElement('td');
+            recordsCell.textContent = `${stats.records} of ${structured.records}`;
+
+            row.appendChild(fieldCell);
+            row.appendChild(typeCell);
+            row.appendChild(recordsCell);
+            tbody.appendChild(row);
         }
+    }
+
+    section.style.display = 'block';
+}
 
-        recommendations.push('Review document permissions and limit access to specific individuals only.');
-        recommendations.push('Do not use "anyone with the link" sharing for sensitive documents.');
-        recommendations.push('Consider using password protection or expiration dates for shared links.');
+// Incremented per displayDocument call so a slow redaction never
+// overwrites a newer view
+let documentRenderId = 0;
+
+/**
+ * Load the document viewer with the findings at the current threshold
+ */
+async function displayDocument(content, spans) {
+    const id = ++documentRenderId;
+    const minConfidence = confidenceSlider.value / 100;
+    const visible = spans.filter(span => span.confidence >= minConfidence);
+
+    const redacted = await redactor.redactWithSpans(content, visible, strategySelect.value);
+    if (id !== documentRenderId) return;
+
+    // Navigation choices: every finding, or one type
+    const counts = {};
+    visible.forEach(span => { counts[span.type] = (counts[span.type] || 0) + 1; });
+    const previous = navTypeSelect.value;
+    navTypeSelect.innerHTML = '';
+    navTypeSelect.appendChild(new Option(`All findings (${visible.length})`, ''));
+    for (const piiType of Object.keys(counts)) {
+        navTypeSelect.appendChild(new Option(`${detector.getLabel(piiType)} (${counts[piiType]})`, piiType));
     }
+    navTypeSelect.value = counts[previous] ? previous : '';
+
+    viewer.navigation.type = navTypeSelect.value || null;
+    viewer.setDocument({ original: { text: content, spans: visible }, redacted });
+}
+
+/**
+ * Show the occurrences of a breakdown value in the document view
+ */
+function jumpToOccurrences(piiType, value) {
+    navTypeSelect.value = piiType;
+    viewer.jumpTo(piiType, value);
+    document.getElementById('content-display').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * "3 / 12" position of the current occurrence
+ */
+function displayNavigationPosition(navigation) {
+    const total = navigation.indices.length;
+    const current = navigation.position === -1 ? '–' : navigation.position + 1;
+    navPosition.textContent = total === 0 ? 'No findings' :
+        `${current} / ${total}${navigation.value !== null ? ` of "${navigation.value}"` : ''}`;
+}
+
+/**
+ * Download the full redacted document (findings at the current threshold) as a text file
+ */
+async function handleDownloadRedacted() {
+    if (!lastScan) return;
+
+    const { fetchResult, spans } = lastScan;
+    const minConfidence = confidenceSlider.value / 100;
+    const visible = spans.filter(span => span.confidence >= minConfidence);
+    const redacted = await redactor.redactSpans(fetchResult.content, visible, strategySelect.value);
+    const blob = new Blob([redacted], { type: 'text/plain' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = `redacted-${strategySelect.value}.txt`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Download the current scan as a report in the selected format
+ */
+function handleExportReport() {
+    if (!lastScan) return;
+
+    const minConfidence = confidenceSlider.value / 100;
+    const piiResults = getFilteredResults();
+    const { platform } = lastScan.fetchResult;
+
+    const report = exporter.buildReport({
+        ...lastScan,
+        risk: assessRisk(piiResults, lastScan.spans, platform),
+        recommendations: recommender.recommend(piiResults, platform)
+    }, { mask: exportMaskInput.checked, minConfidence });
+
+    const format = exporter.formats[exportFormatSelect.value];
+    const blob = new Blob([exporter.serialize(report, exportFormatSelect.value)], { type: format.mimeType });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = `openpii-report-${report.generatedAt.replace(/[:.]/g, '-')}.${format.extension}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Display security recommendations, most urgent first
+ */
+function displayRecommendations(recommendations) {
+    const list = document.getElementById('recommendations-list');
+    list.innerHTML = '';
 
     recommendations.forEach(rec => {
         const li = document.createElement('li');
-        li.textContent = rec;
+
+        const urgency = document.createElement('span');
+        urgency.className = `rec-urgency urgency-${rec.urgency}`;
+        urgency.textContent = rec.urgency;
+
+        li.appendChild(urgency);
+        li.appendChild(document.createTextNode(rec.message));
         list.appendChild(li);
     });
 }
 
 /**
- * Display performance metrics table
+ * Load the evaluation results and render them
+ */
+async function loadPerformanceMetrics() {
+    try {
+        const response = await fetch(performanceMetricsUrl);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        performanceMetrics = await response.json();
+    } catch (error) {
+        performanceMetrics = null;
+    }
+    displayPerformanceMetrics();
+}
+
+/**
+ * Display performance metrics table for the selected matching mode
  */
 function displayPerformanceMetrics() {
     const tbody = document.getElementById('metrics-body');
+    const note = document.getElementById('metrics-note');
+    const mode = document.getElementById('metrics-mode').value;
     tbody.innerHTML = '';
 
-    for (const piiType in performanceMetrics) {
-        const metrics = performanceMetrics[piiType];
-        
+    if (!performanceMetrics || !performanceMetrics.modes[mode]) {
+        note.textContent = `Evaluation results (${performanceMetricsUrl}) could not be loaded. ` +
+            'Serve the app over HTTP (e.g. node tools/stub_server.js) to see them.';
+        return;
+    }
+
+    const { corpus, minConfidence } = performanceMetrics;
+    note.textContent = `Measured on ${corpus.documents} labeled synthetic documents (${corpus.spans} PII spans)` +
+        `${minConfidence > 0 ? ` at ${Math.round(minConfidence * 100)}% minimum confidence` : ''}. ` +
+        'Reproduce with node eval/evaluate.js.';
+
+    const { types, overall } = performanceMetrics.modes[mode];
+    const rows = Object.entries(types).map(([piiType, metrics]) => [detector.getLabel(piiType), metrics]);
+    rows.push(['Overall', overall]);
+
+    for (const [label, metrics] of rows) {
         const row = document.createElement('tr');
-        
+
         const typeCell = document.createElement('td');
-        typeCell.textContent = detector.getLabel(piiType);
-        
+        typeCell.textContent = label;
+        typeCell.title = `${metrics.tp} true positives, ${metrics.fp} false positives, ${metrics.fn} missed`;
+
         const precisionCell = document.createElement('td');
         precisionCell.innerHTML = createMetricBar(metrics.precision);
-        
+
         const recallCell = document.createElement('td');
         recallCell.innerHTML = createMetricBar(metrics.recall);
-        
+
         const f1Cell = document.createElement('td');
         f1Cell.innerHTML = createMetricBar(metrics.f1);
-        
+
         row.appendChild(typeCell);
         row.appendChild(precisionCell);
         row.appendChild(recallCell);
         row.appendChild(f1Cell);
-        
+
         tbody.appendChild(row);
     }
 }
@@ -276,6 +1788,9 @@ function displayPerformanceMetrics() {
  * Create metric bar visualization
  */
 function createMetricBar(value) {
+    if (value === null) {
+        return '<span>n/a</span>';
+    }
     const percentage = (value * 100).toFixed(1);
     return `
         <div style="display: flex; align-items: center; gap: 0.5rem;">
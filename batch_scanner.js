@@ -0,0 +1,145 @@
+/**
+ * OpenPII Watcher - Batch Scanner (JavaScript)
+ * Fetches and scans many shared links with bounded concurrency
+ */
+
+class BatchScanner {
+    /**
+     * scanText(text, hint) resolves to { spans, structured } (e.g. DetectionClient.scan);
+     * hint is the URL, for sniffing CSV/TSV/JSON
+     * Options:
+     *   concurrency - simultaneous fetches (default 4)
+     *   maxUrls     - largest accepted list (default 200)
+     */
+    constructor(fetcher, scanText, options = {}) {
+        this.fetcher = fetcher;
+        this.scanText = scanText;
+        this.concurrency = options.concurrency || 4;
+        this.maxUrls = options.maxUrls || 200;
+
+        // Detection runs one document at a time; fetches overlap
+        this.scanQueue = Promise.resolve();
+    }
+
+    /**
+     * URLs from newline-separated text (or a CSV/TXT file's contents)
+     * Blank lines and # comments are skipped, duplicates dropped; on CSV
+     * lines the first http(s) field is used
+     */
+    parseUrlList(text) {
+        const urls = [];
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) continue;
+
+            const match = trimmed.match(/https?:\/\/[^\s,;"']+/);
+            const url = match ? match[0] : trimmed;
+            if (!urls.includes(url)) {
+                urls.push(url);
+            }
+        }
+
+        if (urls.length > this.maxUrls) {
+            throw new Error(`Too many URLs (${urls.length}); the limit is ${this.maxUrls} per batch`);
+        }
+        return urls;
+    }
+
+    /**
+     * Fetch and scan every URL
+     * onUpdate(entry) is called whenever an entry changes status:
+     *   queued -> fetching -> scanning -> done | failed | cancelled
+     * Entries: { index, url, status, platform, fetchResult, spans, structured, scannedAt, error, errorCode }
+     * Options: signal - AbortSignal; remaining URLs are marked cancelled
+     */
+    async run(urls, onUpdate = () => {}, options = {}) {
+        const signal = options.signal;
+        const entries = urls.map((url, index) => ({
+            index: index,
+            url: url,
+            status: 'queued',
+            platform: this.fetcher.detectPlatform(url).platform
+        }));
+        entries.forEach(entry => onUpdate(entry));
+
+        let next = 0;
+        const worker = async () => {
+            while (next < entries.length) {
+                const entry = entries[next++];
+                if (signal && signal.aborted) {
+                    this.update(entry, { status: 'cancelled' }, onUpdate);
+                    continue;
+                }
+                await this.scanEntry(entry, onUpdate, signal);
+            }
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(this.concurrency, entries.length); i++) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
+
+        return entries;
+    }
+
+    /**
+     * Fetch and scan one entry, recording failures on the entry
+     */
+    async scanEntry(entry, onUpdate, signal) {
+        try {
+            this.update(entry, { status: 'fetching' }, onUpdate);
+            const fetchResult = await this.fetcher.fetchContent(entry.url, { signal });
+            if (!fetchResult.success) {
+                this.update(entry, {
+                    status: 'failed',
+                    error: fetchResult.error,
+                    errorCode: fetchResult.errorCode
+                }, onUpdate);
+                return;
+            }
+
+            this.update(entry, { status: 'scanning', fetchResult: { ...fetchResult, source: entry.url } }, onUpdate);
+            const { spans, structured } = await this.enqueueScan(fetchResult.content, entry.url, signal);
+            this.update(entry, { status: 'done', spans, structured, scannedAt: new Date().toISOString() }, onUpdate);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.update(entry, { status: 'cancelled' }, onUpdate);
+            } else {
+                this.update(entry, { status: 'failed', error: error.message }, onUpdate);
+            }
+        }
+    }
+
+    /**
+     * Run a scan after the ones already queued
+     */
+    enqueueScan(text, hint, signal) {
+        const run = () => {
+            if (signal && signal.aborted) {
+                const error = new Error('Scan cancelled');
+                error.name = 'AbortError';
+                throw error;
+            }
+            return this.scanText(text, hint);
+        };
+
+        const result = this.scanQueue.then(run);
+        this.scanQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Apply changes to an entry and report it
+     */
+    update(entry, changes, onUpdate) {
+        Object.assign(entry, changes);
+        onUpdate(entry);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchScanner;
+}
@@ -3,14 +3,258 @@
  * Platform-specific URL processing and content fetching for the browser
  */
 
+/**
+ * Typed fetch failure
+ * code is one of FetchError.codes; status is the HTTP status, if any
+ */
+class FetchError extends Error {
+    constructor(code, message, status = null) {
+        super(message);
+        this.name = 'FetchError';
+        this.code = code;
+        this.status = status;
+    }
+
+    /**
+     * Failures another route (a proxy) cannot fix
+     */
+    get definitive() {
+        return ['not_found', 'auth_required', 'too_large'].includes(this.code);
+    }
+}
+
+FetchError.codes = [
+    'invalid_url', 'not_found', 'auth_required', 'cors_blocked',
+    'rate_limited', 'server_error', 'timeout', 'too_large'
+];
+
 class ContentFetcher {
-    constructor() {
-        this.platformPatterns = {
-            pastebin: /pastebin\.com\/([A-Za-z0-9]+)/,
-            google_docs: /docs\.google\.com\/document\/d\/([A-Za-z0-9_-]+)/
+    /**
+     * Options:
+     *   proxies        - ordered CORS proxy chain (see setProxies)
+     *   timeout        - per-attempt timeout in ms (default 15000)
+     *   retries        - extra attempts on 429/5xx per route (default 2)
+     *   backoff        - first retry delay in ms, doubled per retry (default 500)
+     *   maxContentSize - largest accepted body in bytes (default 5 MB)
+     *   logger         - { log(message) } for route fallback notes (default console;
+     *                    the CLI passes one writing to stderr)
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout || 15000;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.backoff = options.backoff !== undefined ? options.backoff : 500;
+        this.maxContentSize = options.maxContentSize || 5 * 1024 * 1024;
+        this.logger = options.logger || console;
+
+        // Tried in order after the direct fetch fails
+        this.setProxies(options.proxies || [
+            { name: 'allorigins', url: 'https://api.allorigins.win/raw?url={url}' }
+        ]);
+
+        // Names of the proxies fetches may use; null uses the whole chain
+        this.enabledProxies = null;
+
+        // Platform adapters, in URL matching order
+        this.adapters = {};
+
+        this.registerAdapter('pastebin', {
+            name: 'Pastebin',
+            icon: '📋',
+            pattern: /pastebin\.com\/(?:raw\/)?([A-Za-z0-9]+)/,
+            transform: pasteId => this.transformPastebinUrl(pasteId),
+            details: {
+                pattern: 'pastebin.com/{paste_id}',
+                method: 'Direct fetch via /raw/ endpoint',
+                cors: 'Native support',
+                reliability: 'High (>95%)'
+            }
+        });
+
+        this.registerAdapter('google_docs', {
+            name: 'Google Docs',
+            icon: '📄',
+            pattern: /docs\.google\.com\/document\/d\/([A-Za-z0-9_-]+)/,
+            transform: docId => this.transformGoogleDocsUrl(docId),
+            loginPattern: /accounts\.google\.com/,
+            details: {
+                pattern: 'docs.google.com/document/d/{doc_id}',
+                method: 'Two-tier fallback (direct + proxy)',
+                cors: 'Mixed - uses proxy as backup',
+                reliability: 'Medium (60-80%)'
+            }
+        });
+
+        this.registerAdapter('google_sheets', {
+            name: 'Google Sheets',
+            icon: '📊',
+            pattern: /docs\.google\.com\/spreadsheets\/d\/([A-Za-z0-9_-]+)/,
+            transform: (sheetId, match, url) => {
+                // Export the tab the link points at, if it names one
+                const gid = url.match(/[#&?]gid=(\d+)/);
+                return `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv${gid ? `&gid=${gid[1]}` : ''}`;
+            },
+            loginPattern: /accounts\.google\.com/,
+            details: {
+                pattern: 'docs.google.com/spreadsheets/d/{sheet_id}',
+                method: 'CSV export, two-tier fallback (direct + proxy)',
+                cors: 'Mixed - uses proxy as backup',
+                reliability: 'Medium'
+            }
+        });
+
+        this.registerAdapter('google_slides', {
+            name: 'Google Slides',
+            icon: '🖼️',
+            pattern: /docs\.google\.com\/presentation\/d\/([A-Za-z0-9_-]+)/,
+            transform: deckId => `https://docs.google.com/presentation/d/${deckId}/export/txt`,
+            loginPattern: /accounts\.google\.com/,
+            details: {
+                pattern: 'docs.google.com/presentation/d/{deck_id}',
+                method: 'Plain text export, two-tier fallback (direct + proxy)',
+                cors: 'Mixed - uses proxy as backup',
+                reliability: 'Medium'
+            }
+        });
+
+        this.registerAdapter('github_gist', {
+            name: 'GitHub Gist',
+            icon: '🐙',
+            pattern: /gist\.github(?:usercontent)?\.com\/(?:[\w-]+\/)?([0-9a-f]{20,})/,
+            transform: gistId => `https://api.github.com/gists/${gistId}`,
+            // The gists API returns JSON; scan every file in the gist
+            parse: body => {
+                const gist = JSON.parse(body);
+                return Object.values(gist.files || {})
+                    .map(file => `=== ${file.filename} ===\n${file.content || ''}`)
+                    .join('\n\n');
+            },
+            details: {
+                pattern: 'gist.github.com/{user}/{gist_id}',
+                method: 'GitHub gists API (all files)',
+                cors: 'Native support',
+                reliability: 'High (API rate limits apply)'
+            }
+        });
+
+        this.registerAdapter('github_raw', {
+            name: 'GitHub Files',
+            icon: '🐙',
+            pattern: /(?:raw\.githubusercontent\.com\/([^?#\s]+)|github\.com\/([^/\s]+\/[^/\s]+)\/(?:blob|raw)\/([^?#\s]+))/,
+            extractId: match => match[1] || `${match[2]}/${match[3]}`,
+            transform: path => `https://raw.githubusercontent.com/${path}`,
+            details: {
+                pattern: 'raw.githubusercontent.com/{path} or github.com/{owner}/{repo}/blob/{path}',
+                method: 'Direct fetch from raw.githubusercontent.com',
+                cors: 'Native support',
+                reliability: 'High'
+            }
+        });
+
+        this.registerAdapter('hastebin', {
+            name: 'Hastebin',
+            icon: '📋',
+            pattern: /hastebin\.(?:com|skyra\.pw)\/(?:raw\/|share\/)?([A-Za-z0-9]+)/,
+            transform: (pasteId, match) => `https://${match[0].split('/')[0]}/raw/${pasteId}`,
+            details: {
+                pattern: 'hastebin.com/{paste_id}',
+                method: 'Raw endpoint, two-tier fallback (direct + proxy)',
+                cors: 'Mixed - uses proxy as backup',
+                reliability: 'Medium'
+            }
+        });
+
+        this.registerAdapter('rentry', {
+            name: 'Rentry',
+            icon: '📝',
+            pattern: /rentry\.(?:co|org)\/([A-Za-z0-9_-]+)/,
+            transform: pasteId => `https://rentry.co/${pasteId}/raw`,
+            details: {
+                pattern: 'rentry.co/{paste_id}',
+                method: 'Raw endpoint, two-tier fallback (direct + proxy)',
+                cors: 'Mixed - uses proxy as backup',
+                reliability: 'Medium'
+            }
+        });
+
+        this.registerAdapter('dropbox', {
+            name: 'Dropbox',
+            icon: '📦',
+            pattern: /dropbox\.com\/((?:s|scl\/fi)\/[^?#\s]+)/,
+            transform: (path, match, url) => {
+                // dl.dropboxusercontent.com serves the file itself; keep rlkey
+                const rlkey = url.match(/[?&]rlkey=([^&#\s]+)/);
+                return `https://dl.dropboxusercontent.com/${path}${rlkey ? `?rlkey=${rlkey[1]}` : ''}`;
+            },
+            details: {
+                pattern: 'dropbox.com/s/{id}/{file} or dropbox.com/scl/fi/{id}/{file}',
+                method: 'Direct download host, two-tier fallback (direct + proxy)',
+                cors: 'Mixed - uses proxy as backup',
+                reliability: 'Medium'
+            }
+        });
+
+        this.registerAdapter('onedrive', {
+            name: 'OneDrive',
+            icon: '☁️',
+            pattern: /(?:1drv\.ms|onedrive\.live\.com)\/([^\s#]+)/,
+            transform: (id, match, url) => {
+                // OneDrive shares API takes the sharing URL as unpadded base64url
+                const shareUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`;
+                const encoded = btoa(new URL(shareUrl).href)
+                    .replace(/=+$/, '').replace(/\//g, '_').replace(/\+/g, '-');
+                return `https://api.onedrive.com/v1.0/shares/u!${encoded}/root/content`;
+            },
+            details: {
+                pattern: '1drv.ms/{share} or onedrive.live.com/...',
+                method: 'OneDrive shares API, two-tier fallback (direct + proxy)',
+                cors: 'Mixed - uses proxy as backup',
+                reliability: 'Medium'
+            }
+        });
+    }
+
+    /**
+     * Register (or replace) a platform adapter
+     * adapter: {
+     *   name          - display name
+     *   icon          - emoji for the supported-platforms list
+     *   pattern       - RegExp matched against the shared URL
+     *   extractId     - (match, url) => document ID (default: first capture group)
+     *   transform     - (docId, match, url) => raw-content URL
+     *   parse         - optional (body) => text, for JSON APIs
+     *   proxyFallback - retry through the proxy chain if direct fetch fails (default true)
+     *   loginPattern  - optional RegExp; a redirect to a matching URL means sign-in is required
+     *   details       - { pattern, method, cors, reliability } for display
+     * }
+     */
+    registerAdapter(platform, adapter) {
+        if (!adapter || !adapter.pattern || typeof adapter.transform !== 'function') {
+            throw new Error(`Adapter "${platform}" needs a pattern and a transform function`);
+        }
+
+        this.adapters[platform] = {
+            extractId: match => match[1],
+            proxyFallback: true,
+            icon: '🔗',
+            ...adapter,
+            name: adapter.name || platform
         };
+    }
 
-        this.corsProxy = 'https://api.allorigins.win/raw?url=';
+    /**
+     * Remove a platform adapter
+     */
+    unregisterAdapter(platform) {
+        const existed = platform in this.adapters;
+        delete this.adapters[platform];
+        return existed;
+    }
+
+    /**
+     * Display names of supported platforms, in registry order
+     */
+    getSupportedPlatformNames() {
+        return Object.values(this.adapters).map(adapter => adapter.name);
     }
 
     /**
@@ -18,12 +262,12 @@ class ContentFetcher {
      * Returns: { platform, docId }
      */
     detectPlatform(url) {
-        for (const [platform, pattern] of Object.entries(this.platformPatterns)) {
-            const match = url.match(pattern);
+        for (const [platform, adapter] of Object.entries(this.adapters)) {
+            const match = url.match(adapter.pattern);
             if (match) {
                 return {
                     platform: platform,
-                    docId: match[1]
+                    docId: adapter.extractId(match, url) || null
                 };
             }
         }
@@ -44,6 +288,18 @@ class ContentFetcher {
         return `https://docs.google.com/document/d/${docId}/export?format=txt`;
     }
 
+    /**
+     * Raw-content URL for a shared URL, via its platform adapter
+     */
+    transformUrl(url) {
+        const { platform, docId } = this.detectPlatform(url);
+        const adapter = this.adapters[platform];
+        if (!adapter || !docId) {
+            return null;
+        }
+        return adapter.transform(docId, url.match(adapter.pattern), url);
+    }
+
     /**
      * Validate URL
      */
@@ -55,16 +311,16 @@ class ContentFetcher {
         const { platform, docId } = this.detectPlatform(url);
 
         if (platform === 'unknown') {
-            return { 
-                valid: false, 
-                message: 'Unsupported platform. Supported: Pastebin, Google Docs' 
+            return {
+                valid: false,
+                message: `Unsupported platform. Supported: ${this.getSupportedPlatformNames().join(', ')}`
             };
         }
 
         if (!docId) {
-            return { 
-                valid: false, 
-                message: `Could not extract document ID from ${platform}` 
+            return {
+                valid: false,
+                message: `Could not extract document ID from ${this.adapters[platform].name}`
             };
         }
 
@@ -72,135 +328,316 @@ class ContentFetcher {
     }
 
     /**
-     * Fetch content from Pastebin
+     * Set the ordered CORS proxy chain
+     * Each proxy is a URL template containing {url} (replaced by the encoded
+     * target URL) or a prefix the encoded URL is appended to, either as a
+     * string or as { name, url }. Self-hosted proxies work the same way.
      */
-    async fetchPastebin(pasteId) {
-        const url = this.transformPastebinUrl(pasteId);
-        
-        try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+    setProxies(proxies) {
+        this.proxies = proxies.map((proxy, index) => {
+            const entry = typeof proxy === 'string' ? { url: proxy } : { ...proxy };
+            if (!/^https?:\/\/\S+$/.test(entry.url || '')) {
+                throw new Error(`Proxy ${index + 1} is not an http(s) URL: ${entry.url}`);
             }
-            const content = await response.text();
-            return {
-                success: true,
-                content: content,
-                platform: 'pastebin',
-                method: 'direct'
-            };
-        } catch (error) {
-            return {
-                success: false,
-                content: null,
-                platform: 'pastebin',
-                error: error.message
-            };
+            entry.name = entry.name || new URL(entry.url.replace('{url}', '')).host;
+            return entry;
+        });
+    }
+
+    /**
+     * Limit fetches to some proxies of the chain, by name ([] fetches
+     * directly only); null uses every proxy
+     */
+    useProxies(names) {
+        if (names === null) {
+            this.enabledProxies = null;
+            return;
+        }
+
+        const unknown = names.filter(name => !this.proxies.some(proxy => proxy.name === name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown proxy: ${unknown.join(', ')}`);
         }
+        this.enabledProxies = [...names];
     }
 
     /**
-     * Fetch content from Google Docs with two-tier fallback
+     * Proxies a fetch falls back to, in chain order
      */
-    async fetchGoogleDocs(docId) {
-        const primaryUrl = this.transformGoogleDocsUrl(docId);
+    getActiveProxies() {
+        return this.enabledProxies === null
+            ? this.proxies
+            : this.proxies.filter(proxy => this.enabledProxies.includes(proxy.name));
+    }
 
-        // Strategy 1: Try direct fetch
-        try {
-            const response = await fetch(primaryUrl);
-            if (response.ok) {
-                const content = await response.text();
-                return {
+    /**
+     * Proxied URL for a target URL
+     */
+    buildProxyUrl(proxy, targetUrl) {
+        const encoded = encodeURIComponent(targetUrl);
+        return proxy.url.includes('{url}') ? proxy.url.replace('{url}', encoded) : proxy.url + encoded;
+    }
+
+    /**
+     * Fetch a raw-content URL directly, then through each proxy in the chain
+     * Stops at the first success or at a failure no proxy can fix
+     * (not found, sign-in required, too large)
+     * Options: signal - AbortSignal to cancel the whole fetch
+     */
+    async fetchFromAdapter(platform, rawUrl, options = {}) {
+        const adapter = this.adapters[platform];
+        const parse = adapter.parse || (body => body);
+        const routes = [{ method: 'direct', url: rawUrl }];
+
+        if (adapter.proxyFallback) {
+            for (const proxy of this.getActiveProxies()) {
+                routes.push({ method: 'proxy', proxy: proxy.name, url: this.buildProxyUrl(proxy, rawUrl) });
+            }
+        }
+
+        let failure = null;
+        for (const route of routes) {
+            try {
+                const body = await this.fetchWithRetry(route.url, adapter, options.signal);
+                const result = {
                     success: true,
-                    content: content,
-                    platform: 'google_docs',
-                    method: 'direct'
+                    content: parse(body),
+                    platform: platform,
+                    method: route.method
                 };
+                if (route.proxy) {
+                    result.proxy = route.proxy;
+                }
+                return result;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+
+                failure = error instanceof FetchError ? error : new FetchError('server_error', error.message);
+                if (failure.definitive) break;
+                this.logger.log(`${route.method === 'direct' ? 'Direct fetch' : `Proxy ${route.proxy}`} failed (${failure.code}), trying next route...`);
             }
-        } catch (error) {
-            console.log('Direct fetch blocked by CORS, trying proxy...');
         }
 
-        // Strategy 2: Fallback to CORS proxy
-        const fallbackUrl = this.corsProxy + encodeURIComponent(primaryUrl);
-        
+        return {
+            success: false,
+            content: null,
+            platform: platform,
+            error: failure.message,
+            errorCode: failure.code
+        };
+    }
+
+    /**
+     * Fetch one URL, retrying 429 and 5xx responses with exponential backoff
+     * (or the server's Retry-After, if shorter than the timeout)
+     */
+    async fetchWithRetry(url, adapter, signal) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchOnce(url, adapter, signal);
+            } catch (error) {
+                // Other 4xx responses and network failures are not worth retrying
+                const retryable = error instanceof FetchError &&
+                                  (error.code === 'rate_limited' || (error.code === 'server_error' && error.status >= 500));
+                if (!retryable || attempt >= this.retries) {
+                    throw error;
+                }
+
+                let delay = this.backoff * Math.pow(2, attempt);
+                if (error.retryAfter !== undefined && error.retryAfter * 1000 < this.timeout) {
+                    delay = Math.max(delay, error.retryAfter * 1000);
+                }
+                await this.sleep(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * Single fetch attempt with a timeout and a size limit
+     */
+    async fetchOnce(url, adapter, signal) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+        const onAbort = () => controller.abort();
+        if (signal) {
+            if (signal.aborted) controller.abort();
+            signal.addEventListener('abort', onAbort);
+        }
+
         try {
-            const response = await fetch(fallbackUrl);
-            if (response.ok) {
-                const content = await response.text();
-                return {
-                    success: true,
-                    content: content,
-                    platform: 'google_docs',
-                    method: 'proxy'
-                };
-            } else {
-                throw new Error(`Proxy fetch failed: ${response.status}`);
+            let response;
+            try {
+                response = await fetch(url, { signal: controller.signal });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                // Browsers report CORS rejections and unreachable hosts the same way
+                throw new FetchError('cors_blocked', 'The request was blocked (CORS) or the host could not be reached.');
+            }
+
+            if (!response.ok) {
+                throw this.errorForStatus(response);
             }
+            if (adapter.loginPattern && response.redirected && adapter.loginPattern.test(response.url)) {
+                throw new FetchError('auth_required', 'The document is not public: the link redirects to a sign-in page.', 401);
+            }
+
+            return await this.readBody(response, controller);
         } catch (error) {
-            return {
-                success: false,
-                content: null,
-                platform: 'google_docs',
-                error: 'Both direct and proxy fetch methods failed. The document may require authentication or may not exist.'
-            };
+            if (error.name === 'AbortError') {
+                if (timedOut) {
+                    throw new FetchError('timeout', `No response within ${this.timeout / 1000} seconds.`);
+                }
+                throw error;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Typed error for a non-OK response
+     */
+    errorForStatus(response) {
+        const status = response.status;
+        let error;
+
+        if (status === 404 || status === 410) {
+            error = new FetchError('not_found', `The document does not exist or was deleted (HTTP ${status}).`, status);
+        } else if (status === 401 || status === 403) {
+            error = new FetchError('auth_required', `The document requires sign-in or is not shared publicly (HTTP ${status}).`, status);
+        } else if (status === 413) {
+            error = new FetchError('too_large', 'The document is too large for the server to send (HTTP 413).', status);
+        } else if (status === 429) {
+            error = new FetchError('rate_limited', 'Too many requests; the platform is rate limiting (HTTP 429).', status);
+        } else {
+            error = new FetchError('server_error', `The server returned HTTP ${status}.`, status);
+        }
+
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (!isNaN(retryAfter)) {
+            error.retryAfter = retryAfter;
+        }
+        return error;
+    }
+
+    /**
+     * Read a response body as text, enforcing maxContentSize
+     */
+    async readBody(response, controller) {
+        const tooLarge = () => new FetchError(
+            'too_large',
+            `The document is larger than the ${Math.round(this.maxContentSize / 1024 / 1024)} MB limit.`
+        );
+
+        const declared = parseInt(response.headers.get('Content-Length'), 10);
+        if (declared > this.maxContentSize) {
+            controller.abort();
+            throw tooLarge();
         }
+
+        if (!response.body || !response.body.getReader) {
+            const text = await response.text();
+            if (text.length > this.maxContentSize) throw tooLarge();
+            return text;
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let received = 0;
+        let text = '';
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            received += value.byteLength;
+            if (received > this.maxContentSize) {
+                await reader.cancel();
+                throw tooLarge();
+            }
+            text += decoder.decode(value, { stream: true });
+        }
+
+        return text + decoder.decode();
+    }
+
+    /**
+     * Wait ms milliseconds (rejects with AbortError if signal aborts)
+     */
+    sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                const error = new Error('Fetch cancelled');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
     }
 
     /**
      * Main fetch method - detects platform and fetches content
+     * Options: signal - AbortSignal to cancel the fetch
      */
-    async fetchContent(url) {
+    async fetchContent(url, options = {}) {
         const validation = this.validateUrl(url);
-        
+
         if (!validation.valid) {
             return {
                 success: false,
                 content: null,
-                error: validation.message
+                error: validation.message,
+                errorCode: 'invalid_url'
             };
         }
 
-        const { platform, docId } = validation;
-
-        if (platform === 'pastebin') {
-            return await this.fetchPastebin(docId);
-        } else if (platform === 'google_docs') {
-            return await this.fetchGoogleDocs(docId);
-        } else {
+        let rawUrl;
+        try {
+            rawUrl = this.transformUrl(url.trim());
+        } catch (error) {
             return {
                 success: false,
                 content: null,
-                error: 'Unsupported platform'
+                error: 'Invalid URL',
+                errorCode: 'invalid_url'
             };
         }
+
+        return await this.fetchFromAdapter(validation.platform, rawUrl, options);
     }
 
     /**
      * Get platform integration details for display
      */
     getPlatformDetails() {
-        return {
-            pastebin: {
-                name: 'Pastebin',
-                pattern: 'pastebin.com/{paste_id}',
-                method: 'Direct fetch via /raw/ endpoint',
-                cors: 'Native support',
-                reliability: 'High (>95%)'
-            },
-            google_docs: {
-                name: 'Google Docs',
-                pattern: 'docs.google.com/document/d/{doc_id}',
-                method: 'Two-tier fallback (direct + proxy)',
-                cors: 'Mixed - uses proxy as backup',
-                reliability: 'Medium (60-80%)'
-            }
-        };
+        const details = {};
+        for (const [platform, adapter] of Object.entries(this.adapters)) {
+            details[platform] = {
+                name: adapter.name,
+                ...adapter.details
+            };
+        }
+        return details;
     }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ContentFetcher;
+    module.exports.FetchError = FetchError;
 }
-
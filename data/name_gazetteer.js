@@ -0,0 +1,190 @@
+/**
+ * OpenPII Watcher - Name Gazetteer (data)
+ * First names and surnames ordered by frequency (most common first),
+ * and title-cased words that should never be read as part of a name.
+ * Sources: US SSA baby-name and Census surname rankings, extended with
+ * common Hispanic, Indian, East Asian and European names.
+ */
+
+const NameGazetteer = {
+    firstNames: [
+        'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda',
+        'William', 'Elizabeth', 'David', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica',
+        'Thomas', 'Sarah', 'Charles', 'Karen', 'Christopher', 'Nancy', 'Daniel', 'Lisa',
+        'Matthew', 'Betty', 'Anthony', 'Margaret', 'Mark', 'Sandra', 'Donald', 'Ashley',
+        'Steven', 'Kimberly', 'Paul', 'Emily', 'Andrew', 'Donna', 'Joshua', 'Michelle',
+        'Kenneth', 'Dorothy', 'Kevin', 'Carol', 'Brian', 'Amanda', 'George', 'Melissa',
+        'Edward', 'Deborah', 'Ronald', 'Stephanie', 'Timothy', 'Rebecca', 'Jason', 'Sharon',
+        'Jeffrey', 'Laura', 'Ryan', 'Cynthia', 'Jacob', 'Kathleen', 'Gary', 'Amy',
+        'Nicholas', 'Shirley', 'Eric', 'Angela', 'Jonathan', 'Helen', 'Stephen', 'Anna',
+        'Larry', 'Brenda', 'Justin', 'Pamela', 'Scott', 'Nicole', 'Brandon', 'Emma',
+        'Benjamin', 'Samantha', 'Samuel', 'Katherine', 'Gregory', 'Christine', 'Frank', 'Debra',
+        'Alexander', 'Rachel', 'Raymond', 'Catherine', 'Patrick', 'Carolyn', 'Jack', 'Janet',
+        'Dennis', 'Ruth', 'Jerry', 'Maria', 'Tyler', 'Heather', 'Aaron', 'Diane',
+        'Jose', 'Virginia', 'Adam', 'Julie', 'Henry', 'Joyce', 'Nathan', 'Victoria',
+        'Douglas', 'Olivia', 'Zachary', 'Kelly', 'Peter', 'Christina', 'Kyle', 'Lauren',
+        'Walter', 'Joan', 'Ethan', 'Evelyn', 'Jeremy', 'Judith', 'Harold', 'Megan',
+        'Keith', 'Cheryl', 'Christian', 'Andrea', 'Roger', 'Hannah', 'Noah', 'Martha',
+        'Gerald', 'Jacqueline', 'Carl', 'Frances', 'Terry', 'Gloria', 'Sean', 'Ann',
+        'Austin', 'Teresa', 'Arthur', 'Kathryn', 'Lawrence', 'Sara', 'Jesse', 'Janice',
+        'Dylan', 'Jean', 'Bryan', 'Alice', 'Joe', 'Madison', 'Jordan', 'Doris',
+        'Billy', 'Abigail', 'Bruce', 'Julia', 'Albert', 'Judy', 'Willie', 'Grace',
+        'Gabriel', 'Denise', 'Logan', 'Amber', 'Alan', 'Marilyn', 'Juan', 'Beverly',
+        'Wayne', 'Danielle', 'Roy', 'Theresa', 'Ralph', 'Sophia', 'Randy', 'Marie',
+        'Eugene', 'Diana', 'Vincent', 'Brittany', 'Russell', 'Natalie', 'Elijah', 'Isabella',
+        'Louis', 'Charlotte', 'Bobby', 'Rose', 'Philip', 'Alexis', 'Johnny', 'Kayla',
+        'Bob', 'Mia', 'Tom', 'Ava', 'Mike', 'Chloe', 'Jim', 'Ella',
+        'Dan', 'Lily', 'Dave', 'Zoe', 'Chris', 'Ellie', 'Steve', 'Kate',
+        'Tony', 'Jane', 'Matt', 'Sue', 'Nick', 'Jenny', 'Ben', 'Liz',
+        'Sam', 'Beth', 'Alex', 'Amelia', 'Max', 'Harper', 'Liam', 'Aria',
+        'Mason', 'Scarlett', 'Lucas', 'Layla', 'Oliver', 'Nora', 'Aiden', 'Riley',
+        'Carter', 'Zoey', 'Owen', 'Leah', 'Wyatt', 'Audrey', 'Luke', 'Claire',
+        'Isaac', 'Lucy', 'Caleb', 'Stella', 'Hunter', 'Violet', 'Connor', 'Hazel',
+        'Eli', 'Aurora', 'Landon', 'Savannah', 'Adrian', 'Brooklyn', 'Jaxon', 'Paisley',
+        'Carlos', 'Ana', 'Luis', 'Carmen', 'Miguel', 'Rosa', 'Jorge', 'Sofia',
+        'Pedro', 'Lucia', 'Diego', 'Elena', 'Alejandro', 'Gabriela', 'Manuel', 'Valentina',
+        'Antonio', 'Camila', 'Fernando', 'Daniela', 'Ricardo', 'Isabel', 'Javier', 'Paula',
+        'Rahul', 'Priya', 'Amit', 'Ananya', 'Arjun', 'Neha', 'Vijay', 'Pooja',
+        'Raj', 'Divya', 'Suresh', 'Kavya', 'Anil', 'Deepa', 'Sanjay', 'Lakshmi',
+        'Ravi', 'Meera', 'Arsh', 'Sneha', 'Vikram', 'Aisha', 'Arvind', 'Shreya',
+        'Suryakiran', 'Anjali', 'Krishna', 'Swati', 'Rohan', 'Nisha', 'Karthik', 'Asha',
+        'Wei', 'Mei', 'Li', 'Yan', 'Jun', 'Xin', 'Hao', 'Ling',
+        'Hiroshi', 'Yuki', 'Kenji', 'Sakura', 'Takeshi', 'Aiko', 'Min', 'Jiwoo',
+        'Ahmed', 'Fatima', 'Mohammed', 'Aaliyah', 'Omar', 'Zara', 'Ali', 'Yasmin',
+        'Hans', 'Heidi', 'Klaus', 'Greta', 'Pierre', 'Camille', 'Jacques', 'Sophie',
+        'Giovanni', 'Giulia', 'Marco', 'Francesca', 'Luca', 'Chiara', 'Ivan', 'Olga',
+        'Dmitri', 'Natasha', 'Sergei', 'Irina', 'Lars', 'Ingrid', 'Sven', 'Astrid',
+        'Will', 'May', 'June', 'April', 'Grant', 'Dawn', 'Georgia', 'Summer',
+        'Jay', 'Joy', 'Ray', 'Hope', 'Lee', 'Faith', 'Dean', 'Ruby'
+    ],
+
+    surnames: [
+        'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
+        'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson', 'Thomas',
+        'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson', 'White',
+        'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker', 'Young',
+        'Allen', 'King', 'Wright', 'Scott', 'Torres', 'Nguyen', 'Hill', 'Flores',
+        'Green', 'Adams', 'Nelson', 'Baker', 'Hall', 'Rivera', 'Campbell', 'Mitchell',
+        'Carter', 'Roberts', 'Gomez', 'Phillips', 'Evans', 'Turner', 'Diaz', 'Parker',
+        'Cruz', 'Edwards', 'Collins', 'Reyes', 'Stewart', 'Morris', 'Morales', 'Murphy',
+        'Cook', 'Rogers', 'Gutierrez', 'Ortiz', 'Morgan', 'Cooper', 'Peterson', 'Bailey',
+        'Reed', 'Kelly', 'Howard', 'Ramos', 'Kim', 'Cox', 'Ward', 'Richardson',
+        'Watson', 'Brooks', 'Chavez', 'Wood', 'James', 'Bennett', 'Gray', 'Mendoza',
+        'Ruiz', 'Hughes', 'Price', 'Alvarez', 'Castillo', 'Sanders', 'Patel', 'Myers',
+        'Long', 'Ross', 'Foster', 'Jimenez', 'Powell', 'Jenkins', 'Perry', 'Russell',
+        'Sullivan', 'Bell', 'Coleman', 'Butler', 'Henderson', 'Barnes', 'Gonzales', 'Fisher',
+        'Vasquez', 'Simmons', 'Romero', 'Jordan', 'Patterson', 'Alexander', 'Hamilton', 'Graham',
+        'Reynolds', 'Griffin', 'Wallace', 'Moreno', 'West', 'Cole', 'Hayes', 'Bryant',
+        'Herrera', 'Gibson', 'Ellis', 'Tran', 'Medina', 'Aguilar', 'Stevens', 'Murray',
+        'Ford', 'Castro', 'Marshall', 'Owens', 'Harrison', 'Fernandez', 'Mcdonald', 'Woods',
+        'Washington', 'Kennedy', 'Wells', 'Vargas', 'Henry', 'Chen', 'Freeman', 'Webb',
+        'Tucker', 'Guzman', 'Burns', 'Crawford', 'Olson', 'Simpson', 'Porter', 'Hunter',
+        'Gordon', 'Mendez', 'Silva', 'Shaw', 'Snyder', 'Mason', 'Dixon', 'Munoz',
+        'Hunt', 'Hicks', 'Holmes', 'Palmer', 'Wagner', 'Black', 'Robertson', 'Boyd',
+        'Rose', 'Stone', 'Salazar', 'Fox', 'Warren', 'Mills', 'Meyer', 'Rice',
+        'Schmidt', 'Garza', 'Daniels', 'Ferguson', 'Nichols', 'Stephens', 'Soto', 'Weaver',
+        'Ryan', 'Gardner', 'Payne', 'Grant', 'Dunn', 'Kelley', 'Spencer', 'Hawkins',
+        'Arnold', 'Pierce', 'Vazquez', 'Hansen', 'Peters', 'Santos', 'Hart', 'Bradley',
+        'Knight', 'Elliott', 'Cunningham', 'Duncan', 'Armstrong', 'Hudson', 'Carroll', 'Lane',
+        'Riley', 'Andrews', 'Alvarado', 'Ray', 'Delgado', 'Berry', 'Perkins', 'Hoffman',
+        'Johnston', 'Matthews', 'Pena', 'Richards', 'Contreras', 'Willis', 'Carpenter', 'Lawrence',
+        'Sandoval', 'Guerrero', 'George', 'Chapman', 'Rios', 'Estrada', 'Ortega', 'Watkins',
+        'Greene', 'Nunez', 'Wheeler', 'Valdez', 'Harper', 'Burke', 'Larson', 'Santiago',
+        'Maldonado', 'Morrison', 'Franklin', 'Carlson', 'Austin', 'Dominguez', 'Carr', 'Lawson',
+        'Jacobs', 'Obrien', "O'Brien", 'Lynch', 'Singh', 'Vega', 'Bishop', 'Montgomery',
+        'Oliver', 'Jensen', 'Harvey', 'Williamson', 'Gilbert', 'Dean', 'Sims', 'Espinoza',
+        'Howell', 'Li', 'Wong', 'Reid', 'Hanson', 'Le', 'Mccoy', 'Garrett',
+        'Burton', 'Fuller', 'Wang', 'Weber', 'Welch', 'Rojas', 'Lucas', 'Marquez',
+        'Fields', 'Park', 'Yang', 'Little', 'Banks', 'Padilla', 'Day', 'Walsh',
+        'Bowman', 'Schultz', 'Luna', 'Fowler', 'Mejia', 'Davidson', 'Acosta', 'Brewer',
+        'May', 'Holland', 'Juarez', 'Newman', 'Pearson', 'Curtis', 'Cortez', 'Douglas',
+        'Schneider', 'Joseph', 'Barrett', 'Navarro', 'Figueroa', 'Keller', 'Avila', 'Wade',
+        'Molina', 'Stanley', 'Hopkins', 'Campos', 'Barnett', 'Bates', 'Chambers', 'Caldwell',
+        "O'Connor", 'Oconnor', 'Zhang', 'Liu', 'Huang', 'Zhao', 'Wu', 'Zhou',
+        'Sun', 'Ma', 'Zhu', 'Hu', 'Guo', 'Lin', 'He', 'Gao',
+        'Sato', 'Suzuki', 'Takahashi', 'Tanaka', 'Watanabe', 'Ito', 'Yamamoto', 'Nakamura',
+        'Choi', 'Jung', 'Kang', 'Cho', 'Yoon', 'Jang', 'Lim', 'Han',
+        'Kumar', 'Sharma', 'Shah', 'Gupta', 'Reddy', 'Rao', 'Iyer', 'Nair',
+        'Mehta', 'Joshi', 'Desai', 'Chopra', 'Kapoor', 'Malhotra', 'Agarwal', 'Verma',
+        'Valavala', 'Advani', 'Ramamoorthy', 'Krishnan', 'Subramanian', 'Menon', 'Pillai', 'Bose',
+        'Khan', 'Ahmed', 'Ali', 'Hussain', 'Hassan', 'Rahman', 'Malik', 'Sheikh',
+        'Muller', 'Schmitt', 'Fischer', 'Becker', 'Wolf', 'Schafer', 'Koch', 'Richter',
+        'Rossi', 'Russo', 'Ferrari', 'Esposito', 'Bianchi', 'Romano', 'Colombo', 'Ricci',
+        'Dubois', 'Durand', 'Leroy', 'Moreau', 'Laurent', 'Lefebvre', 'Bernard', 'Petit',
+        'Ivanov', 'Petrov', 'Smirnov', 'Kuznetsov', 'Popov', 'Novak', 'Kowalski', 'Nowak',
+        'Johansson', 'Andersson', 'Larsen', 'Nielsen', 'Holm', 'Berg', 'Lindqvist', 'Eriksson',
+        'Doe', 'Roe', 'Public'
+    ],
+
+    // Title-cased words that start sentences, name places, times or things
+    stopwords: [
+        'The', 'This', 'That', 'These', 'Those', 'There', 'Their', 'They', 'Then', 'Than',
+        'A', 'An', 'And', 'Or', 'But', 'If', 'When', 'Where', 'While', 'What', 'Which', 'Who',
+        'Why', 'How', 'All', 'Any', 'Each', 'Every', 'Some', 'Many', 'Most', 'More', 'Other',
+        'Our', 'Your', 'My', 'His', 'Her', 'Its', 'We', 'You', 'He', 'She', 'It', 'I',
+        'In', 'On', 'At', 'By', 'For', 'From', 'To', 'With', 'Without', 'Of', 'Off', 'Into',
+        'About', 'After', 'Before', 'During', 'Since', 'Until', 'Under', 'Over', 'Per', 'Via',
+        'Is', 'Are', 'Was', 'Were', 'Be', 'Been', 'Has', 'Have', 'Had', 'Do', 'Does', 'Did',
+        'Can', 'Could', 'Should', 'Would', 'Must', 'Shall', 'Might', 'Not', 'No', 'Yes',
+        'Please', 'Thanks', 'Thank', 'Dear', 'Hello', 'Hi', 'Hey', 'Regards', 'Best', 'Sincerely',
+        'Cheers', 'Welcome', 'Note', 'Notes', 'See', 'Call', 'Contact', 'Send', 'Reply', 'Meet',
+        'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+        'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun',
+        'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+        'September', 'October', 'November', 'December',
+        'Jan', 'Feb', 'Mar', 'Apr', 'Jun', 'Jul', 'Aug', 'Sep', 'Sept', 'Oct', 'Nov', 'Dec',
+        'Spring', 'Summer', 'Autumn', 'Fall', 'Winter', 'Today', 'Tomorrow', 'Yesterday',
+        'Morning', 'Afternoon', 'Evening', 'Night', 'Week', 'Weekly', 'Month', 'Monthly',
+        'Year', 'Annual', 'Daily', 'Quarter', 'Christmas', 'Easter', 'Thanksgiving', 'Holiday',
+        'New', 'Old', 'North', 'South', 'East', 'West', 'Northern', 'Southern', 'Eastern',
+        'Western', 'Central', 'Upper', 'Lower', 'Great', 'Little', 'Big', 'Grand', 'Saint', 'San',
+        'Santa', 'Los', 'Las', 'Fort', 'Mount', 'Lake', 'River', 'Bay', 'Beach', 'Valley',
+        'Park', 'Island', 'City', 'County', 'State', 'States', 'United', 'Kingdom', 'Republic',
+        'America', 'American', 'Americas', 'Europe', 'European', 'Asia', 'Asian', 'Africa',
+        'African', 'Australia', 'Canada', 'Mexico', 'England', 'Britain', 'British', 'France',
+        'French', 'Germany', 'German', 'Spain', 'Spanish', 'Italy', 'Italian', 'India', 'Indian',
+        'China', 'Chinese', 'Japan', 'Japanese', 'Korea', 'Korean', 'Russia', 'Russian', 'Brazil',
+        'Ireland', 'Irish', 'Scotland', 'Wales', 'London', 'Paris', 'Berlin', 'Madrid', 'Rome',
+        'Tokyo', 'Delhi', 'Mumbai', 'Sydney', 'Toronto', 'York', 'Jersey', 'Boston', 'Chicago',
+        'Houston', 'Dallas', 'Austin', 'Seattle', 'Portland', 'Denver', 'Phoenix', 'Atlanta',
+        'Miami', 'Francisco', 'Diego', 'Jose', 'Angeles', 'Vegas', 'Cruz', 'Oakland',
+        'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut',
+        'Delaware', 'Florida', 'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa',
+        'Kansas', 'Kentucky', 'Louisiana', 'Maine', 'Maryland', 'Massachusetts', 'Michigan',
+        'Minnesota', 'Mississippi', 'Missouri', 'Montana', 'Nebraska', 'Nevada', 'Hampshire',
+        'Carolina', 'Dakota', 'Ohio', 'Oklahoma', 'Oregon', 'Pennsylvania', 'Rhode',
+        'Tennessee', 'Texas', 'Utah', 'Vermont', 'Virginia', 'Washington', 'Wisconsin', 'Wyoming',
+        'Street', 'Avenue', 'Road', 'Boulevard', 'Lane', 'Drive', 'Court', 'Circle', 'Place',
+        'Square', 'Highway', 'Suite', 'Floor', 'Building', 'Room', 'Hall', 'Center', 'Centre',
+        'University', 'College', 'School', 'Institute', 'Academy', 'Department', 'Dept',
+        'Office', 'Hospital', 'Clinic', 'Library', 'Museum', 'Church', 'Bank', 'Airport',
+        'Company', 'Corporation', 'Corp', 'Inc', 'Ltd', 'LLC', 'Group', 'Team', 'Project',
+        'Projects', 'Program', 'Service', 'Services', 'Support', 'Sales', 'Marketing', 'Finance',
+        'Engineering', 'Security', 'Network', 'Systems', 'System', 'Data', 'Research', 'Report',
+        'Meeting', 'Agenda', 'Minutes', 'Schedule', 'Summary', 'Overview', 'Introduction',
+        'Conclusion', 'Appendix', 'Chapter', 'Section', 'Table', 'Figure', 'Page', 'Document',
+        'Email', 'Phone', 'Mobile', 'Address', 'Name', 'Names', 'Customer', 'Customers', 'Client',
+        'User', 'Users', 'Account', 'Accounts', 'Admin', 'Manager', 'Director', 'President',
+        'Chief', 'Officer', 'Senior', 'Junior', 'Lead', 'Head', 'Staff', 'Member', 'Members',
+        'Student', 'Students', 'Professor', 'Doctor', 'Nurse', 'Employee', 'Employees',
+        'Contacts', 'Information', 'Info', 'Details', 'Directory', 'List', 'Record',
+        'Records', 'Total', 'Number', 'Date', 'Time', 'Status', 'Type', 'Order', 'Invoice',
+        'Payment', 'Card', 'Credit', 'Social', 'Birth', 'Private', 'Public', 'Confidential',
+        'Internal', 'External', 'General', 'Special', 'Final', 'First', 'Second',
+        'Third', 'Last', 'Next', 'Previous', 'Main', 'Home', 'Work', 'Personal', 'Business',
+        'Google', 'Docs', 'Sheets', 'Slides', 'Microsoft', 'Word', 'Excel', 'Apple',
+        'Amazon', 'Facebook', 'Twitter', 'Github', 'GitHub', 'Pastebin', 'Dropbox', 'Slack',
+        'Zoom', 'Teams', 'Windows', 'Linux', 'Android', 'Internet', 'Web', 'Online', 'Cloud',
+        'Privacy', 'Policy', 'Terms', 'Conditions', 'Agreement', 'Act',
+        'Law', 'Federal', 'National', 'International', 'Global', 'Local', 'Regional',
+        'Council', 'Committee', 'Board', 'Association', 'Society', 'Foundation', 'Union',
+        'Health', 'Medical', 'Insurance', 'Human', 'Resources', 'Sum', 'Open', 'Closed',
+        'Happy', 'Good', 'Important', 'Urgent', 'Reminder', 'Update', 'Updated', 'Draft',
+        'Version', 'Release', 'Test', 'Testing', 'Example', 'Sample', 'Demo', 'Lorem', 'Ipsum'
+    ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NameGazetteer;
+}
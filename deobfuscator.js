@@ -0,0 +1,206 @@
+/**
+ * OpenPII Watcher - Deobfuscator (JavaScript)
+ * Undoes common PII evasion tricks before detection, keeping an offset map
+ * back to the original text
+ */
+
+class Deobfuscator {
+    constructor() {
+        // Invisible characters used to split values (soft hyphen, zero-width
+        // spaces and joiners, word joiner, BOM)
+        this.invisible = /[\u00AD\u180E\u200B-\u200F\u2060-\u2064\uFEFF]/;
+
+        // Cyrillic and Greek letters drawn like Latin ones; only replaced in
+        // words that also contain Latin letters, so real Cyrillic/Greek text
+        // is left alone
+        this.homoglyphs = {
+            '\u0430': 'a', '\u0435': 'e', '\u043E': 'o', '\u0440': 'p', '\u0441': 'c', '\u0443': 'y', '\u0445': 'x',
+            '\u0456': 'i', '\u0458': 'j', '\u0455': 's', '\u04BB': 'h', '\u0501': 'd', '\u051B': 'q', '\u051D': 'w',
+            '\u0410': 'A', '\u0412': 'B', '\u0415': 'E', '\u041A': 'K', '\u041C': 'M', '\u041D': 'H', '\u041E': 'O',
+            '\u0420': 'P', '\u0421': 'C', '\u0422': 'T', '\u0423': 'Y', '\u0425': 'X', '\u0406': 'I', '\u0408': 'J', '\u0405': 'S',
+            '\u0391': 'A', '\u0392': 'B', '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I', '\u039A': 'K', '\u039C': 'M',
+            '\u039D': 'N', '\u039F': 'O', '\u03A1': 'P', '\u03A4': 'T', '\u03A5': 'Y', '\u03A7': 'X',
+            '\u03B1': 'a', '\u03B9': 'i', '\u03BA': 'k', '\u03BD': 'v', '\u03BF': 'o', '\u03C1': 'p', '\u03C5': 'u', '\u03C7': 'x'
+        };
+
+        // "@" and "." written out: "[at]", "(dot)", "{.}", or bare " at " / " dot "
+        // (a bare " at " only counts with a written-out dot, so "find us at
+        // example.com" is left alone). The local part starts at a word
+        // boundary and is capped at 64 characters, keeping long runs linear
+        const at = String.raw`\s*[\[({<]\s*(?:at|@)\s*[\])}>]\s*|\s+at\s+`;
+        const dot = String.raw`\s*[\[({<]\s*(?:dot|\.)\s*[\])}>]\s*|\s+dot\s+`;
+        this.emailPattern = new RegExp(
+            String.raw`(?<![A-Za-z0-9._%+-])[A-Za-z0-9._%+-]{1,64}(?:${at}|@)[A-Za-z0-9-]+(?:(?:${dot}|\.)[A-Za-z0-9-]+)*(?:${dot}|\.)[A-Za-z]{2,}\b(?![@-])`,
+            'gi'
+        );
+        this.emailSeparator = new RegExp(`(${at})|(${dot})`, 'gi');
+
+        // Seven or more single digits split by spaces, dots or spaced dashes
+        // ("5 5 5 1 2 3 4 5 6 7", "1.2.3-4.5-6.7.8.9")
+        this.spacedDigitsPattern = /\d(?: ?[-.] ?| )\d(?:(?: ?[-.] ?| )\d){5,}/g;
+    }
+
+    /**
+     * Normalize text for detection
+     * Returns: { text, changed, starts, ends } where normalized character i
+     * came from original characters starts[i] to ends[i] (exclusive);
+     * starts/ends are null when nothing changed
+     */
+    normalize(text) {
+        const chars = this.normalizeCharacters(text);
+        const edits = [
+            ...this.findEmailEdits(chars.text),
+            ...this.findDigitEdits(chars.text)
+        ].sort((a, b) => a.start - b.start);
+
+        if (!chars.changed && edits.length === 0) {
+            return { text, changed: false, starts: null, ends: null };
+        }
+
+        const starts = chars.starts || Deobfuscator.identity(text.length, 0);
+        const ends = chars.ends || Deobfuscator.identity(text.length, 1);
+        return this.applyEdits(chars.text, starts, ends, edits);
+    }
+
+    /**
+     * Original offsets of a [start, end) range of normalized text
+     */
+    toOriginal(normalized, start, end) {
+        if (!normalized.changed) {
+            return { start, end };
+        }
+        return { start: normalized.starts[start], end: normalized.ends[end - 1] };
+    }
+
+    /**
+     * Character-level pass: drop invisible characters, fold full-width and
+     * other compatibility forms (NFKC) to ASCII, replace homoglyphs in
+     * mixed-script words
+     */
+    normalizeCharacters(text) {
+        if (!/[^\x00-\x7F]/.test(text)) {
+            return { text, changed: false, starts: null, ends: null };
+        }
+
+        let out = '';
+        const starts = [];
+        const ends = [];
+        let offset = 0;
+
+        for (const ch of text) {
+            const from = offset;
+            offset += ch.length;
+
+            let replacement = ch;
+            if (ch.charCodeAt(0) > 0x7F) {
+                if (this.invisible.test(ch)) {
+                    replacement = '';
+                } else {
+                    const folded = ch.normalize('NFKC');
+                    if (folded !== ch && /^[\x20-\x7E]+$/.test(folded)) {
+                        replacement = folded;
+                    }
+                }
+            }
+
+            for (let i = 0; i < replacement.length; i++) {
+                starts.push(from);
+                ends.push(offset);
+            }
+            out += replacement;
+        }
+
+        // Homoglyphs are one UTF-16 unit each, so offsets are unchanged
+        out = out.replace(/[\p{L}\p{N}._%+-]+/gu, word => {
+            if (!/[A-Za-z]/.test(word)) return word;
+            return [...word].map(ch => this.homoglyphs[ch] || ch).join('');
+        });
+
+        return { text: out, changed: out !== text, starts, ends };
+    }
+
+    /**
+     * Edits turning spelled-out separators in email addresses into "@" and "."
+     */
+    findEmailEdits(text) {
+        const edits = [];
+        for (const match of text.matchAll(this.emailPattern)) {
+            const separators = [...match[0].matchAll(this.emailSeparator)];
+            const bareAt = separators.some(separator => /^\s+at\s+$/i.test(separator[0]));
+            if (bareAt && !separators.some(separator => separator[2] !== undefined)) continue;
+
+            for (const separator of separators) {
+                const start = match.index + separator.index;
+                edits.push({
+                    start: start,
+                    end: start + separator[0].length,
+                    replacement: separator[1] !== undefined ? '@' : '.'
+                });
+            }
+        }
+        return edits;
+    }
+
+    /**
+     * Edits joining spaced-out digits (dashes are kept as group separators)
+     */
+    findDigitEdits(text) {
+        const edits = [];
+        for (const match of text.matchAll(this.spacedDigitsPattern)) {
+            for (const separator of match[0].matchAll(/ ?[-.] ?| /g)) {
+                const start = match.index + separator.index;
+                edits.push({
+                    start: start,
+                    end: start + separator[0].length,
+                    replacement: separator[0].includes('-') ? '-' : ''
+                });
+            }
+        }
+        return edits;
+    }
+
+    /**
+     * Apply non-overlapping edits (sorted by start); a replacement maps to
+     * the whole original range it replaces
+     */
+    applyEdits(text, starts, ends, edits) {
+        let out = '';
+        const outStarts = [];
+        const outEnds = [];
+        let cursor = 0;
+
+        const copy = (from, to) => {
+            out += text.substring(from, to);
+            for (let i = from; i < to; i++) {
+                outStarts.push(starts[i]);
+                outEnds.push(ends[i]);
+            }
+        };
+
+        for (const edit of edits) {
+            if (edit.start < cursor) continue; // Overlaps an earlier edit
+            copy(cursor, edit.start);
+            for (let i = 0; i < edit.replacement.length; i++) {
+                outStarts.push(starts[edit.start]);
+                outEnds.push(ends[edit.end - 1]);
+            }
+            out += edit.replacement;
+            cursor = edit.end;
+        }
+        copy(cursor, text.length);
+
+        return { text: out, changed: true, starts: outStarts, ends: outEnds };
+    }
+
+    /**
+     * Offsets i + shift for a text of the given length
+     */
+    static identity(length, shift) {
+        return Array.from({ length }, (value, i) => i + shift);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Deobfuscator;
+}
@@ -0,0 +1,203 @@
+/**
+ * OpenPII Watcher - Detection Client (JavaScript)
+ * Runs chunked detection in a Web Worker, falling back to the main thread
+ * (with yields between chunks) where workers are unavailable, e.g. file://
+ */
+
+class DetectionClient {
+    /**
+     * Options:
+     *   workerUrl - detection worker script
+     *   chunkSize - characters per chunk
+     *   overlap   - context characters scanned on each side of a chunk
+     */
+    constructor(detector, options = {}) {
+        this.detector = detector;
+        this.workerUrl = options.workerUrl || 'detection_worker.js';
+        this.chunkSize = options.chunkSize || 200000;
+        this.overlap = options.overlap || 5000;
+
+        // Structured pass for the main-thread fallback (the worker has its own)
+        this.structuredScanner = new StructuredScanner(detector);
+
+        this.worker = null;
+        this.workerFailed = typeof Worker === 'undefined';
+        this.pending = null;
+        this.nextId = 1;
+    }
+
+    /**
+     * Detect PII in text; resolves with { spans, structured }: non-overlapping
+     * spans and, for CSV/TSV/JSON content, StructuredScanner's per-field
+     * findings (null otherwise)
+     * onProgress(done, total) is called after each chunk
+     * hint: file name or platform for sniffing the structured format
+     * Rejects with an AbortError if cancelled
+     */
+    scan(text, onProgress = () => {}, hint = '') {
+        this.cancel();
+
+        // Function validators/filters cannot be sent to the worker, so
+        // detectors using them scan on the main thread
+        if (!this.workerFailed && this.detector.isSerializable()) {
+            try {
+                return this.scanInWorker(text, onProgress, hint);
+            } catch (error) {
+                this.workerFailed = true; // e.g. SecurityError on file://
+            }
+        }
+        return this.scanOnMainThread(text, onProgress, hint);
+    }
+
+    /**
+     * Cancel the scan in progress, if any
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const { reject } = this.pending;
+        this.pending = null;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        reject(DetectionClient.abortError());
+    }
+
+    /**
+     * Detector state the worker needs to rebuild the same rule set
+     * (config includes removed built-in types)
+     */
+    getSettings() {
+        return {
+            config: this.detector.exportConfig(),
+            enabledTypes: this.detector.enabledTypes,
+            deobfuscate: Boolean(this.detector.normalizer),
+            decodePayloads: Boolean(this.detector.decoder),
+            typePriority: this.detector.typePriority,
+            phoneRegion: this.detector.phoneRegion,
+            chunkSize: this.chunkSize,
+            overlap: this.overlap
+        };
+    }
+
+    /**
+     * Run detection in the worker
+     */
+    scanInWorker(text, onProgress, hint) {
+        if (!this.worker) {
+            this.worker = new Worker(this.workerUrl);
+        }
+
+        const id = this.nextId++;
+        const worker = this.worker;
+
+        return new Promise((resolve, reject) => {
+            let started = false;
+            this.pending = { id, reject };
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (!this.pending || message.id !== this.pending.id) return;
+                started = true;
+
+                if (message.type === 'progress') {
+                    onProgress(message.done, message.total);
+                } else if (message.type === 'result') {
+                    this.pending = null;
+                    resolve({ spans: message.spans, structured: message.structured });
+                } else if (message.type === 'error') {
+                    this.pending = null;
+                    reject(new Error(message.message));
+                }
+            };
+
+            // A worker that fails to load falls back to the main thread
+            worker.onerror = (event) => {
+                event.preventDefault();
+                if (!this.pending || this.pending.id !== id) return;
+
+                this.pending = null;
+                worker.terminate();
+                this.worker = null;
+
+                if (started) {
+                    reject(new Error(event.message || 'Detection worker failed'));
+                } else {
+                    this.workerFailed = true;
+                    this.scanOnMainThread(text, onProgress, hint).then(resolve, reject);
+                }
+            };
+
+            worker.postMessage({ id, text, hint, settings: this.getSettings() });
+        });
+    }
+
+    /**
+     * Run detection on the main thread, yielding between chunks and before
+     * the structured pass
+     */
+    scanOnMainThread(text, onProgress, hint) {
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending = { id, reject };
+
+            const chunks = this.detector.getChunks(text.length, this.chunkSize);
+            const matches = [];
+            let index = 0;
+
+            const step = () => {
+                if (!this.pending || this.pending.id !== id) return; // Cancelled
+
+                try {
+                    matches.push(...this.detector.detectChunk(text, chunks[index], this.overlap));
+                    index++;
+                    onProgress(index, chunks.length);
+
+                    if (index < chunks.length) {
+                        setTimeout(step, 0);
+                    } else {
+                        setTimeout(finish, 0);
+                    }
+                } catch (error) {
+                    this.pending = null;
+                    reject(error);
+                }
+            };
+
+            const finish = () => {
+                if (!this.pending || this.pending.id !== id) return; // Cancelled
+
+                try {
+                    // Encoded segments may cross chunk edges, so they are decoded whole
+                    matches.push(...this.detector.detectDecoded(text));
+                    const spans = this.detector.resolveOverlaps(matches);
+                    const structured = this.structuredScanner.scan(text, hint);
+                    this.pending = null;
+                    resolve({ spans, structured });
+                } catch (error) {
+                    this.pending = null;
+                    reject(error);
+                }
+            };
+
+            setTimeout(step, 0);
+        });
+    }
+
+    /**
+     * Error used to signal a cancelled scan
+     */
+    static abortError() {
+        const error = new Error('Scan cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DetectionClient;
+}
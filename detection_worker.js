@@ -0,0 +1,46 @@
+/**
+ * OpenPII Watcher - Detection Worker
+ * Runs PIIDetector off the main thread, chunk by chunk, reporting progress,
+ * then the per-column / per-field pass for CSV/TSV/JSON content
+ *
+ * Message in:  { id, text, hint, settings: { config, enabledTypes, deobfuscate, decodePayloads, typePriority,
+ *                                      phoneRegion, chunkSize, overlap } }
+ * Messages out: { id, type: 'progress', done, total }
+ *               { id, type: 'result', spans, structured }
+ *               { id, type: 'error', message }
+ */
+
+importScripts('data/name_gazetteer.js', 'pii_detector.js', 'deobfuscator.js', 'payload_decoder.js',
+    'structured_scanner.js');
+
+self.onmessage = (event) => {
+    const { id, text, hint, settings } = event.data;
+
+    try {
+        const detector = new PIIDetector({
+            typePriority: settings.typePriority,
+            phoneRegion: settings.phoneRegion,
+            normalizer: settings.deobfuscate ? new Deobfuscator() : null,
+            decoder: settings.decodePayloads ? new PayloadDecoder() : null
+        });
+        detector.importConfig(settings.config);
+        detector.setEnabledTypes(settings.enabledTypes);
+
+        const chunks = detector.getChunks(text.length, settings.chunkSize);
+        const matches = [];
+
+        chunks.forEach((chunk, index) => {
+            matches.push(...detector.detectChunk(text, chunk, settings.overlap));
+            self.postMessage({ id, type: 'progress', done: index + 1, total: chunks.length });
+        });
+
+        // Encoded segments may cross chunk edges, so they are decoded whole
+        matches.push(...detector.detectDecoded(text));
+
+        const spans = detector.resolveOverlaps(matches);
+        const structured = new StructuredScanner(detector).scan(text, hint);
+        self.postMessage({ id, type: 'result', spans, structured });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
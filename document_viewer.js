@@ -0,0 +1,271 @@
+/**
+ * OpenPII Watcher - Document Viewer (JavaScript)
+ * Virtualized full-document view with highlighted PII spans and
+ * per-type occurrence navigation
+ */
+
+class DocumentViewer {
+    /**
+     * Options:
+     *   rowHeight    - pixel height of one rendered row (matches CSS line-height)
+     *   maxRowLength - long lines are split into rows of at most this many characters
+     *   overscan     - rows rendered above and below the visible area
+     */
+    constructor(container, detector, options = {}) {
+        this.container = container;
+        this.detector = detector;
+        this.rowHeight = options.rowHeight || 20;
+        this.maxRowLength = options.maxRowLength || 1000;
+        this.overscan = options.overscan || 20;
+
+        // views[mode] = { text, spans, rows }; spans[i] is the same finding in every view
+        this.views = {};
+        this.mode = 'original';
+        this.activeIndex = -1;
+        this.navigation = { type: null, value: null, indices: [], position: -1 };
+        this.onNavigate = () => {};
+
+        this.container.classList.add('document-viewer');
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'document-viewer-spacer';
+        this.content = document.createElement('div');
+        this.content.className = 'document-viewer-rows';
+        this.content.style.setProperty('--row-height', `${this.rowHeight}px`);
+        this.spacer.appendChild(this.content);
+        this.container.appendChild(this.spacer);
+
+        this.renderPending = false;
+        this.container.addEventListener('scroll', () => this.scheduleRender());
+    }
+
+    /**
+     * Load a document
+     * views: { original: { text, spans }, redacted: { text, spans } }
+     * Spans are non-overlapping and sorted by start
+     */
+    setDocument(views) {
+        this.views = {};
+        for (const [mode, view] of Object.entries(views)) {
+            this.views[mode] = { ...view, rows: this.buildRows(view.text) };
+        }
+        if (!this.views[this.mode]) {
+            this.mode = 'original';
+        }
+
+        this.activeIndex = -1;
+        this.setNavigation(this.navigation.type);
+        this.container.scrollTop = 0;
+        this.layout();
+    }
+
+    /**
+     * Replace one view (e.g. after the redaction strategy changes)
+     */
+    setView(mode, view) {
+        this.views[mode] = { ...view, rows: this.buildRows(view.text) };
+        if (mode === this.mode) {
+            this.layout();
+            this.scrollToActive();
+        }
+    }
+
+    /**
+     * Switch between loaded views, keeping the active finding in sight
+     */
+    setMode(mode) {
+        if (!this.views[mode]) return;
+        this.mode = mode;
+        this.layout();
+        this.scrollToActive();
+    }
+
+    /**
+     * Row ranges: one per line, long lines split at maxRowLength
+     */
+    buildRows(text) {
+        const rows = [];
+        let start = 0;
+
+        while (start <= text.length) {
+            let newline = text.indexOf('\n', start);
+            if (newline === -1) newline = text.length;
+
+            for (let rowStart = start; ; rowStart += this.maxRowLength) {
+                const rowEnd = Math.min(newline, rowStart + this.maxRowLength);
+                rows.push({ start: rowStart, end: rowEnd });
+                if (rowEnd >= newline) break;
+            }
+            start = newline + 1;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Size the scroll area for the current view and render
+     */
+    layout() {
+        const view = this.views[this.mode];
+        this.spacer.style.height = view ? `${view.rows.length * this.rowHeight}px` : '0';
+        this.render();
+    }
+
+    /**
+     * Render on the next animation frame
+     */
+    scheduleRender() {
+        if (this.renderPending) return;
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Render the rows currently in (or near) the viewport
+     */
+    render() {
+        const view = this.views[this.mode];
+        this.content.innerHTML = '';
+        if (!view) return;
+
+        const first = Math.max(0, Math.floor(this.container.scrollTop / this.rowHeight) - this.overscan);
+        const visible = Math.ceil(this.container.clientHeight / this.rowHeight) + 2 * this.overscan;
+        const last = Math.min(view.rows.length, first + visible);
+        this.content.style.transform = `translateY(${first * this.rowHeight}px)`;
+
+        for (let r = first; r < last; r++) {
+            const row = view.rows[r];
+            const rowEl = document.createElement('div');
+            rowEl.className = 'document-viewer-row';
+
+            // Spans may start on an earlier row and run into this one
+            let cursor = row.start;
+            for (let i = this.firstSpanEndingAfter(view.spans, row.start);
+                i < view.spans.length && view.spans[i].start < row.end; i++) {
+                const span = view.spans[i];
+                const from = Math.max(span.start, row.start);
+                const to = Math.min(span.end, row.end);
+                if (from > cursor) {
+                    rowEl.appendChild(document.createTextNode(view.text.substring(cursor, from)));
+                }
+                rowEl.appendChild(this.createHighlight(view.text.substring(from, to), span, i));
+                cursor = to;
+            }
+            rowEl.appendChild(document.createTextNode(view.text.substring(cursor, row.end)));
+
+            this.content.appendChild(rowEl);
+        }
+    }
+
+    /**
+     * Index of the first span ending after offset (binary search)
+     */
+    firstSpanEndingAfter(spans, offset) {
+        let low = 0;
+        let high = spans.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (spans[mid].end <= offset) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Highlight element for (part of) a span
+     */
+    createHighlight(text, span, index) {
+        const mark = document.createElement('mark');
+        mark.className = 'pii-highlight';
+        if (index === this.activeIndex) {
+            mark.classList.add('pii-highlight-active');
+        }
+        mark.style.backgroundColor = this.getTypeColor(span.type);
+        mark.textContent = text;
+        mark.title = `${this.detector.getLabel(span.type)} · ${Math.round(span.confidence * 100)}% confidence` +
+            (span.obfuscated ? ` · obfuscated (${span.normalized})` : '') +
+            (span.decodePath ? ` · decoded (${span.decodePath.join(' → ')}): ${span.value}` : '') +
+            (span.companions ? ` · also ${span.companions.map(other =>
+                `${this.detector.getLabel(other.type)} (${other.decodePath.join(' → ')}): ${other.value}`).join(', ')}` : '');
+        return mark;
+    }
+
+    /**
+     * Stable highlight color for a PII type (spread around the hue wheel)
+     */
+    getTypeColor(piiType) {
+        const index = Object.keys(this.detector.types).indexOf(piiType);
+        const hue = Math.round((Math.max(0, index) * 137.5) % 360);
+        return `hsla(${hue}, 85%, 70%, 0.55)`;
+    }
+
+    /**
+     * Restrict next/previous navigation to a type (and optionally one value)
+     * type null navigates every finding
+     */
+    setNavigation(type = null, value = null) {
+        const spans = (this.views.original || { spans: [] }).spans;
+        const indices = [];
+        spans.forEach((span, i) => {
+            if (type && span.type !== type) return;
+            if (value !== null && (span.normalized || span.value) !== value) return;
+            indices.push(i);
+        });
+
+        this.navigation = { type, value, indices, position: -1 };
+        this.onNavigate(this.navigation);
+    }
+
+    /**
+     * Move to the next (step 1) or previous (step -1) occurrence
+     */
+    step(step) {
+        const nav = this.navigation;
+        if (nav.indices.length === 0) return;
+
+        nav.position = nav.position === -1
+            ? (step > 0 ? 0 : nav.indices.length - 1)
+            : (nav.position + step + nav.indices.length) % nav.indices.length;
+        this.activeIndex = nav.indices[nav.position];
+        this.scrollToActive();
+        this.onNavigate(nav);
+    }
+
+    /**
+     * Jump to the occurrences of one value of a type
+     */
+    jumpTo(type, value) {
+        this.setNavigation(type, value);
+        this.step(1);
+    }
+
+    /**
+     * Scroll the active finding to the middle of the viewport
+     */
+    scrollToActive() {
+        const view = this.views[this.mode];
+        if (!view || this.activeIndex < 0 || !view.spans[this.activeIndex]) {
+            this.render();
+            return;
+        }
+
+        const offset = view.spans[this.activeIndex].start;
+        let low = 0;
+        let high = view.rows.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (view.rows[mid].start <= offset) low = mid;
+            else high = mid - 1;
+        }
+
+        this.container.scrollTop = Math.max(0, low * this.rowHeight - this.container.clientHeight / 2);
+        this.render();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentViewer;
+}
@@ -0,0 +1,61 @@
+/**
+ * OpenPII Watcher - Name detection comparison
+ * Scores the original regex + 12-word stoplist against the gazetteer-backed
+ * detector on the labeled name test set.
+ *
+ * Usage: node eval/compare_name_detection.js
+ */
+
+const PIIDetector = require('../pii_detector.js');
+const NameTestSet = require('./name_testset.js');
+
+// Name detection as shipped before the gazetteer
+const legacyPattern = /\b(?:(?:Dr|Mr|Ms|Mrs|Prof)\.?\s+)?([A-Z][a-z]+(?:[-'][A-Z][a-z]+)?)\s+(?:([A-Z]\.?\s+))?([A-Z][a-z]+(?:[-'][A-Z][a-z]+)?)\b/g;
+const legacyStoplist = new Set([
+    'The', 'This', 'That', 'Will', 'May', 'June', 'July',
+    'August', 'March', 'April', 'January', 'February'
+]);
+
+function legacyDetect(text) {
+    return [...text.matchAll(legacyPattern)]
+        .map(match => match[0])
+        .filter(value => !value.split(/\s+/).some(word => legacyStoplist.has(word)));
+}
+
+function score(detectFn) {
+    let tp = 0;
+    let fp = 0;
+    let fn = 0;
+
+    for (const doc of NameTestSet) {
+        const expected = [...doc.names];
+        for (const value of detectFn(doc.text)) {
+            const index = expected.indexOf(value);
+            if (index === -1) {
+                fp++;
+            } else {
+                tp++;
+                expected.splice(index, 1);
+            }
+        }
+        fn += expected.length;
+    }
+
+    const precision = tp + fp === 0 ? 0 : tp / (tp + fp);
+    const recall = tp + fn === 0 ? 0 : tp / (tp + fn);
+    const f1 = precision + recall === 0 ? 0 : 2 * precision * recall / (precision + recall);
+    return { tp, fp, fn, precision, recall, f1 };
+}
+
+const detector = new PIIDetector();
+const results = {
+    'Regex + stoplist (legacy)': score(legacyDetect),
+    'Gazetteer': score(text => detector.detect(text, 'name').map(match => match.value))
+};
+
+const pct = value => `${(value * 100).toFixed(1)}%`.padStart(8);
+console.log(`${NameTestSet.length} documents, ${NameTestSet.reduce((n, d) => n + d.names.length, 0)} labeled names\n`);
+console.log(`${'Method'.padEnd(28)}${'TP'.padStart(5)}${'FP'.padStart(5)}${'FN'.padStart(5)} Precision   Recall       F1`);
+for (const [method, r] of Object.entries(results)) {
+    console.log(`${method.padEnd(28)}${String(r.tp).padStart(5)}${String(r.fp).padStart(5)}${String(r.fn).padStart(5)}  ${pct(r.precision)} ${pct(r.recall)} ${pct(r.f1)}`);
+}
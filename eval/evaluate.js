@@ -0,0 +1,248 @@
+/**
+ * OpenPII Watcher - Detection evaluation
+ * Scores PIIDetector on the labeled corpus (eval/corpus.json): per-type
+ * precision, recall and F1 with exact or overlapping span matching
+ *
+ * Usage: node eval/evaluate.js [--stages] [--update] [--verbose] [--min-confidence 0.5] [--corpus file]
+ *   Without --update the run is compared with eval/results.json and exits
+ *   with status 1 if any F1 score dropped; --update rewrites the file
+ *   (which the web app's System Performance table loads)
+ *   --stages turns on the optional de-obfuscation and payload decoding
+ *   stages and uses eval/results-stages.json instead
+ */
+
+class CorpusEvaluator {
+    /**
+     * Options:
+     *   minConfidence - ignore detections scored below this threshold (default 0)
+     */
+    constructor(detector, options = {}) {
+        this.detector = detector;
+        this.minConfidence = options.minConfidence || 0;
+
+        // exact: same type and offsets; overlap: same type and any shared character
+        this.modes = ['exact', 'overlap'];
+    }
+
+    /**
+     * Check a corpus: { version, documents: [{ id, text, spans: [{ type, start, end, value }] }] }
+     * Throws on the first span whose offsets do not select its value
+     */
+    validateCorpus(corpus) {
+        if (!corpus || !Array.isArray(corpus.documents)) {
+            throw new Error('Corpus must have a "documents" array');
+        }
+
+        const ids = new Set();
+        for (const doc of corpus.documents) {
+            if (!doc.id || typeof doc.text !== 'string' || !Array.isArray(doc.spans)) {
+                throw new Error('Each corpus document needs an id, text and a spans array');
+            }
+            if (ids.has(doc.id)) {
+                throw new Error(`Duplicate corpus document id "${doc.id}"`);
+            }
+            ids.add(doc.id);
+
+            for (const span of doc.spans) {
+                if (doc.text.substring(span.start, span.end) !== span.value) {
+                    throw new Error(`Document "${doc.id}": offsets ${span.start}-${span.end} do not select "${span.value}"`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Pair expected with detected spans in one document
+     * Each span is used at most once; spans only match spans of the same type
+     * Returns: { matched: [[expected, detected]], missed: [expected], spurious: [detected] }
+     */
+    matchSpans(expected, detected, mode) {
+        const same = mode === 'exact'
+            ? (a, b) => a.start === b.start && a.end === b.end
+            : (a, b) => a.start < b.end && b.start < a.end;
+        const used = new Set();
+        const matched = [];
+        const missed = [];
+
+        for (const want of expected) {
+            const index = detected.findIndex((span, i) =>
+                !used.has(i) && span.type === want.type && same(want, span));
+            if (index === -1) {
+                missed.push(want);
+            } else {
+                used.add(index);
+                matched.push([want, detected[index]]);
+            }
+        }
+
+        const spurious = detected.filter((span, i) => !used.has(i));
+        return { matched, missed, spurious };
+    }
+
+    /**
+     * Precision, recall and F1 from counts (null when undefined, e.g. no
+     * detections for precision)
+     */
+    metrics(counts) {
+        const precision = counts.tp + counts.fp === 0 ? null : counts.tp / (counts.tp + counts.fp);
+        const recall = counts.tp + counts.fn === 0 ? null : counts.tp / (counts.tp + counts.fn);
+        let f1 = null;
+        if (precision !== null && recall !== null) {
+            f1 = precision + recall === 0 ? 0 : 2 * precision * recall / (precision + recall);
+        }
+        return { ...counts, precision, recall, f1 };
+    }
+
+    /**
+     * Run the detector over every document and score each mode
+     * Returns: {
+     *   generatedAt, minConfidence, corpus: { documents, spans },
+     *   modes: { [mode]: { types: { [piiType]: { tp, fp, fn, precision, recall, f1 } }, overall } },
+     *   errors: { [mode]: [{ document, kind: 'missed' | 'spurious', type, value, start }] }
+     * }
+     * Types appear in detector order; overall is micro-averaged
+     */
+    evaluate(corpus) {
+        this.validateCorpus(corpus);
+
+        const counts = {};
+        const errors = {};
+        for (const mode of this.modes) {
+            counts[mode] = {};
+            errors[mode] = [];
+        }
+        const count = (mode, piiType, key) => {
+            const entry = counts[mode][piiType] || (counts[mode][piiType] = { tp: 0, fp: 0, fn: 0 });
+            entry[key]++;
+        };
+
+        for (const doc of corpus.documents) {
+            // Decoded findings riding on another span count on their own
+            const detected = this.detector.flattenSpans(this.detector.resolveSpans(doc.text))
+                .filter(span => span.confidence >= this.minConfidence);
+
+            for (const mode of this.modes) {
+                const { matched, missed, spurious } = this.matchSpans(doc.spans, detected, mode);
+                matched.forEach(([want]) => count(mode, want.type, 'tp'));
+                for (const span of missed) {
+                    count(mode, span.type, 'fn');
+                    errors[mode].push({ document: doc.id, kind: 'missed', type: span.type, value: span.value, start: span.start });
+                }
+                for (const span of spurious) {
+                    count(mode, span.type, 'fp');
+                    errors[mode].push({ document: doc.id, kind: 'spurious', type: span.type, value: span.value, start: span.start });
+                }
+            }
+        }
+
+        const order = this.detector.getTypes();
+        const rank = piiType => (order.includes(piiType) ? order.indexOf(piiType) : order.length);
+        const modes = {};
+        for (const mode of this.modes) {
+            const types = {};
+            const total = { tp: 0, fp: 0, fn: 0 };
+            for (const piiType of Object.keys(counts[mode]).sort((a, b) => rank(a) - rank(b))) {
+                types[piiType] = this.metrics(counts[mode][piiType]);
+                for (const key in total) total[key] += counts[mode][piiType][key];
+            }
+            modes[mode] = { types, overall: this.metrics(total) };
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            minConfidence: this.minConfidence,
+            corpus: {
+                documents: corpus.documents.length,
+                spans: corpus.documents.reduce((n, doc) => n + doc.spans.length, 0)
+            },
+            modes,
+            errors
+        };
+    }
+
+    /**
+     * F1 scores that are lower in results than in baseline
+     * Returns: [{ mode, type, baseline, current }]
+     */
+    compare(baseline, results) {
+        const regressions = [];
+        for (const mode of this.modes) {
+            const before = (baseline.modes && baseline.modes[mode]) || { types: {} };
+            const after = results.modes[mode];
+            const rows = { ...before.types, overall: before.overall };
+
+            for (const piiType in rows) {
+                if (!rows[piiType] || rows[piiType].f1 === null) continue;
+                const current = piiType === 'overall' ? after.overall : after.types[piiType];
+                const f1 = current ? current.f1 : null;
+                if (f1 === null || f1 < rows[piiType].f1 - 1e-9) {
+                    regressions.push({ mode, type: piiType, baseline: rows[piiType].f1, current: f1 });
+                }
+            }
+        }
+        return regressions;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorpusEvaluator;
+}
+
+if (typeof require !== 'undefined' && require.main === module) {
+    const fs = require('fs');
+    const path = require('path');
+    const PIIDetector = require('../pii_detector.js');
+    const Deobfuscator = require('../deobfuscator.js');
+    const PayloadDecoder = require('../payload_decoder.js');
+
+    const args = process.argv.slice(2);
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index === -1 ? fallback : args[index + 1];
+    };
+    const corpusPath = option('--corpus', path.join(__dirname, 'corpus.json'));
+    const stages = args.includes('--stages');
+    const resultsPath = path.join(__dirname, stages ? 'results-stages.json' : 'results.json');
+
+    const detector = stages
+        ? new PIIDetector({ normalizer: new Deobfuscator(), decoder: new PayloadDecoder() })
+        : new PIIDetector();
+    const evaluator = new CorpusEvaluator(detector, {
+        minConfidence: parseFloat(option('--min-confidence', '0'))
+    });
+    const results = evaluator.evaluate(JSON.parse(fs.readFileSync(corpusPath, 'utf8')));
+
+    const pct = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`).padStart(8);
+    console.log(`${results.corpus.documents} documents, ${results.corpus.spans} labeled spans, min confidence ${results.minConfidence}` +
+        (stages ? ', de-obfuscation and payload decoding on' : ''));
+    for (const mode of evaluator.modes) {
+        console.log(`\n${mode} matching`);
+        console.log(`${'Type'.padEnd(18)}${'TP'.padStart(5)}${'FP'.padStart(5)}${'FN'.padStart(5)} Precision   Recall       F1`);
+        const rows = { ...results.modes[mode].types, overall: results.modes[mode].overall };
+        for (const [piiType, r] of Object.entries(rows)) {
+            console.log(`${piiType.padEnd(18)}${String(r.tp).padStart(5)}${String(r.fp).padStart(5)}${String(r.fn).padStart(5)}  ${pct(r.precision)} ${pct(r.recall)} ${pct(r.f1)}`);
+        }
+        if (args.includes('--verbose')) {
+            for (const error of results.errors[mode]) {
+                console.log(`  ${error.kind.padEnd(9)} ${error.type.padEnd(15)} ${error.document}@${error.start}: ${JSON.stringify(error.value)}`);
+            }
+        }
+    }
+
+    if (args.includes('--update')) {
+        const { errors, ...saved } = results;
+        fs.writeFileSync(resultsPath, JSON.stringify(saved, null, 2) + '\n');
+        console.log(`\nWrote ${path.relative(process.cwd(), resultsPath)}`);
+    } else if (fs.existsSync(resultsPath)) {
+        const regressions = evaluator.compare(JSON.parse(fs.readFileSync(resultsPath, 'utf8')), results);
+        for (const r of regressions) {
+            console.log(`REGRESSION ${r.mode} ${r.type}: F1 ${pct(r.baseline).trim()} -> ${pct(r.current).trim()}`);
+        }
+        if (regressions.length > 0) {
+            process.exitCode = 1;
+        } else {
+            console.log(`\nNo F1 regressions against ${path.relative(process.cwd(), resultsPath)}`);
+        }
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * OpenPII Watcher - Labeled name test set
+ * Each document lists every person name it contains, exactly as written
+ */
+
+const NameTestSet = [
+    {
+        text: 'Project Team:\n1. Alice Johnson - alice.j@example.com\n2. Bob Smith - bob.smith@company.com',
+        names: ['Alice Johnson', 'Bob Smith']
+    },
+    {
+        text: 'Meeting Notes from Monday Morning. Attendees: Sarah Miller, David Lee and Priya Sharma.',
+        names: ['Sarah Miller', 'David Lee', 'Priya Sharma']
+    },
+    {
+        text: 'Please contact Dr. Emily Chen at the University Hospital in San Francisco.',
+        names: ['Dr. Emily Chen']
+    },
+    {
+        text: 'The Annual Report for New York City was reviewed by Michael Brown on Tuesday.',
+        names: ['Michael Brown']
+    },
+    {
+        text: 'Customer Service Team\nGoogle Docs Security Review\nQuarterly Sales Summary',
+        names: []
+    },
+    {
+        text: 'Shipping to 42 Main Street, Los Angeles. Recipient: Maria Garcia.',
+        names: ['Maria Garcia']
+    },
+    {
+        text: 'Employee Directory\nJohnson, Robert\nWilliams, Jennifer\nGarcia, Carlos',
+        names: ['Johnson, Robert', 'Williams, Jennifer', 'Garcia, Carlos']
+    },
+    {
+        text: 'Thanks, Kevin Walker\nSenior Manager, Human Resources',
+        names: ['Kevin Walker']
+    },
+    {
+        text: 'Happy Birthday to Jessica Taylor! The party is on Friday in Central Park.',
+        names: ['Jessica Taylor']
+    },
+    {
+        text: 'United States Postal Service and the Internal Revenue Service sent Final Notices.',
+        names: []
+    },
+    {
+        text: 'Signed: Mr. Thomas Anderson, Chief Security Officer',
+        names: ['Mr. Thomas Anderson']
+    },
+    {
+        text: 'Rahul Kumar and Ananya Reddy will present the Network Security Project.',
+        names: ['Rahul Kumar', 'Ananya Reddy']
+    },
+    {
+        text: 'Travel Plans: London in March, Paris in April, Berlin in June.',
+        names: []
+    },
+    {
+        text: 'Mary-Jane Watson and Sean O\'Brien joined the Marketing Department.',
+        names: ['Mary-Jane Watson', 'Sean O\'Brien']
+    },
+    {
+        text: 'Reference: Lorem Ipsum Dolor Sit Amet. Version Two Release Candidate.',
+        names: []
+    },
+    {
+        text: 'Patient Name: James Wilson\nDate of Visit: October 12\nPhysician: Dr. Patel',
+        names: ['James Wilson', 'Dr. Patel']
+    },
+    {
+        text: 'Board Members: Linda Martinez (Chair), Steven Clark (Treasurer), Nancy Lewis (Secretary)',
+        names: ['Linda Martinez', 'Steven Clark', 'Nancy Lewis']
+    },
+    {
+        text: 'Good Morning Team! Welcome Back Everyone. Important Update Below.',
+        names: []
+    },
+    {
+        text: 'Hotel Reservation under Daniel Rodriguez for Saturday Night at Grand Hyatt Seattle.',
+        names: ['Daniel Rodriguez']
+    },
+    {
+        text: 'Lecture by Professor Wei Zhang on Machine Learning at Stanford University.',
+        names: ['Wei Zhang']
+    },
+    {
+        text: 'Emergency Contact: Karen Thompson (mother), Paul Thompson (father)',
+        names: ['Karen Thompson', 'Paul Thompson']
+    },
+    {
+        text: 'North Carolina State Park Rangers patrol the Blue Ridge Parkway every Sunday.',
+        names: []
+    },
+    {
+        text: 'Invoice prepared by Accounts Payable. Approved: Christopher Young, Finance Director.',
+        names: ['Christopher Young']
+    },
+    {
+        text: 'Dear Hiring Committee, I am writing to recommend Olivia Bennett for the position.',
+        names: ['Olivia Bennett']
+    },
+    {
+        text: 'Microsoft Teams Meeting Link\nJoin Zoom Meeting\nGoogle Drive Folder',
+        names: []
+    },
+    {
+        text: 'Tenants: Ahmed Khan (Apt 4B), Sofia Rossi (Apt 5A), Hiroshi Tanaka (Apt 6C)',
+        names: ['Ahmed Khan', 'Sofia Rossi', 'Hiroshi Tanaka']
+    },
+    {
+        text: 'The White House and the Supreme Court issued statements on Independence Day.',
+        names: []
+    },
+    {
+        text: 'Volunteer Schedule\nSaturday: Grace Kim\nSunday: Ethan Nguyen\nMonday: Chloe Martin',
+        names: ['Grace Kim', 'Ethan Nguyen', 'Chloe Martin']
+    },
+    {
+        text: 'Keynote speaker Thaddeus Okonkwo arrives Thursday; dinner with Xiomara Quintanilla after.',
+        names: ['Thaddeus Okonkwo', 'Xiomara Quintanilla']
+    },
+    {
+        text: 'The concert moved from Grant Park to Jordan Lake because of the Storm Warning.',
+        names: []
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NameTestSet;
+}
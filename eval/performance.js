@@ -0,0 +1,56 @@
+/**
+ * OpenPII Watcher - Scan time regression check
+ * Times resolveSpans on large inputs that used to trigger regex
+ * backtracking (long single lines, minified JSON, escape-like noise) and
+ * exits with status 1 if any takes longer than the budget.
+ *
+ * Usage: node eval/performance.js [--budget MS]   (default 2000 per input)
+ */
+
+const PIIDetector = require('../pii_detector.js');
+const PayloadDecoder = require('../payload_decoder.js');
+const Deobfuscator = require('../deobfuscator.js');
+
+const size = 200000;
+const fill = unit => unit.repeat(Math.ceil(size / unit.length)).slice(0, size);
+
+// Each about 200 KB, on one line unless noted
+const inputs = {
+    'prose': fill('Lorem ipsum dolor sit amet, consectetur adipiscing elit. '),
+    'prose, many lines': fill('Lorem ipsum dolor sit amet, consectetur adipiscing elit.\n'),
+    'no spaces': fill('abcdefghij.'),
+    'minified JSON': JSON.stringify(Array.from({ length: 4000 }, (value, i) =>
+        ({ id: i, name: `item${i}`, query: 'a=b&c=d', share: '50%' }))).slice(0, size),
+    'key=value pairs': fill('x=1&y=2;'),
+    'stray percent signs': fill('a%2'),
+    'quoted-printable-like': fill('word=3D '),
+    'base64 alphabet': fill('AbCdEfGh0123+/'),
+    'hex digits': fill('0123456789abcdef'),
+    'spaced digits': fill('1 2 3 4 5 '),
+    'full-width text': fill('\uFF46\uFF55\uFF4C\uFF4C\u3000\uFF57\uFF49\uFF44\uFF54\uFF48\u3000')
+};
+
+const args = process.argv.slice(2);
+const budgetIndex = args.indexOf('--budget');
+const budget = budgetIndex === -1 ? 2000 : parseFloat(args[budgetIndex + 1]);
+
+// Both optional stages on, the slowest configuration
+const detector = new PIIDetector({ normalizer: new Deobfuscator(), decoder: new PayloadDecoder() });
+let slow = 0;
+
+for (const [name, text] of Object.entries(inputs)) {
+    const started = Date.now();
+    detector.resolveSpans(text);
+    const elapsed = Date.now() - started;
+
+    const over = elapsed > budget;
+    if (over) slow++;
+    console.log(`${over ? 'SLOW' : 'ok  '} ${name.padEnd(24)} ${String(text.length).padStart(7)} chars ${String(elapsed).padStart(6)} ms`);
+}
+
+if (slow > 0) {
+    console.log(`\n${slow} input(s) over the ${budget} ms budget`);
+    process.exitCode = 1;
+} else {
+    console.log(`\nAll inputs within the ${budget} ms budget`);
+}
@@ -0,0 +1,189 @@
+/**
+ * OpenPII Watcher - File Text Extractor (JavaScript)
+ * Extracts plain text from local files in the browser, before they are shared
+ */
+
+class FileTextExtractor {
+    constructor() {
+        // Extension => format handled by extract()
+        this.formats = {
+            '.txt': 'text',
+            '.md': 'text',
+            '.csv': 'text',
+            '.json': 'text',
+            '.html': 'html',
+            '.htm': 'html',
+            '.docx': 'docx'
+        };
+    }
+
+    /**
+     * Accept attribute for file inputs
+     */
+    getAcceptList() {
+        return Object.keys(this.formats).join(',');
+    }
+
+    /**
+     * Format for a file name, or null if unsupported
+     */
+    getFormat(fileName) {
+        const dot = fileName.lastIndexOf('.');
+        const extension = dot === -1 ? '' : fileName.substring(dot).toLowerCase();
+        return this.formats[extension] || null;
+    }
+
+    /**
+     * Extract text from a File/Blob with a name
+     * Returns: { success, content, format, error }
+     */
+    async extract(file) {
+        const format = this.getFormat(file.name);
+
+        if (!format) {
+            return {
+                success: false,
+                content: null,
+                error: `Unsupported file type. Supported: ${Object.keys(this.formats).join(', ')}`
+            };
+        }
+
+        try {
+            let content;
+            if (format === 'docx') {
+                content = await this.extractDocx(new Uint8Array(await file.arrayBuffer()));
+            } else if (format === 'html') {
+                content = this.htmlToText(await file.text());
+            } else {
+                content = await file.text();
+            }
+            return { success: true, content: content, format: format };
+        } catch (error) {
+            return {
+                success: false,
+                content: null,
+                error: `Could not read ${file.name}: ${error.message}`
+            };
+        }
+    }
+
+    /**
+     * Visible text of an HTML document
+     */
+    htmlToText(html) {
+        if (typeof DOMParser !== 'undefined') {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            doc.querySelectorAll('script, style, noscript').forEach(el => el.remove());
+            return (doc.body ? doc.body.textContent : doc.documentElement.textContent).trim();
+        }
+
+        // Outside the browser: strip tags and decode common entities
+        return this.decodeEntities(html
+            .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>|<\/(?:p|div|li|tr|h[1-6])>/gi, '\n')
+            .replace(/<[^>]+>/g, ''))
+            .trim();
+    }
+
+    /**
+     * Text of a .docx file (word/document.xml inside the zip)
+     */
+    async extractDocx(bytes) {
+        const xml = await this.readZipEntry(bytes, 'word/document.xml');
+        if (xml === null) {
+            throw new Error('not a Word document (word/document.xml missing)');
+        }
+
+        return this.decodeEntities(xml
+            .replace(/<w:tab\/>/g, '\t')
+            .replace(/<w:br\/>|<\/w:p>/g, '\n')
+            .replace(/<[^>]+>/g, ''))
+            .trim();
+    }
+
+    /**
+     * Read one entry of a zip archive as UTF-8 text (null if missing)
+     */
+    async readZipEntry(bytes, entryName) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // End of central directory record: last 0x06054b50 signature
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('not a zip archive');
+        }
+
+        const entries = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+
+        for (let i = 0; i < entries; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('corrupt zip central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            if (name === entryName) {
+                const localNameLength = view.getUint16(localOffset + 26, true);
+                const localExtraLength = view.getUint16(localOffset + 28, true);
+                const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+                const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+                if (method === 0) {
+                    return decoder.decode(data);
+                }
+                if (method === 8) {
+                    return decoder.decode(await this.inflateRaw(data));
+                }
+                throw new Error(`unsupported zip compression method ${method}`);
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return null;
+    }
+
+    /**
+     * Inflate raw DEFLATE data
+     */
+    async inflateRaw(data) {
+        if (typeof DecompressionStream !== 'undefined') {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        return require('zlib').inflateRawSync(data);
+    }
+
+    /**
+     * Decode XML/HTML character entities
+     */
+    decodeEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+                return String.fromCodePoint(point);
+            }
+            return named[code.toLowerCase()] !== undefined ? named[code.toLowerCase()] : entity;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FileTextExtractor;
+}
@@ -0,0 +1,216 @@
+/**
+ * OpenPII Watcher - Payload Decoder (JavaScript)
+ * Finds base64, URL-encoded, hex and quoted-printable segments and decodes
+ * them (recursively, within limits) so the detector can scan the contents
+ */
+
+class PayloadDecoder {
+    /**
+     * Options:
+     *   maxDepth         - decoding rounds for nested encodings (default 3)
+     *   maxSegmentLength - longer encoded segments are skipped (default 1,000,000)
+     *   maxDecodedLength - total decoded characters per text, all depths (default 5,000,000)
+     *   maxSegments      - decoded segments per text, all depths (default 10,000)
+     */
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || 3;
+        this.maxSegmentLength = options.maxSegmentLength || 1000000;
+        this.maxDecodedLength = options.maxDecodedLength || 5000000;
+        this.maxSegments = options.maxSegments || 10000;
+
+        // Every pattern either starts at a run boundary (lookbehind) or
+        // bounds its literal runs, so long lines without any escapes are
+        // scanned in linear time
+
+        // URL-encoded runs end at whitespace, quotes, angle, square and curly
+        // brackets and backslashes (parentheses are valid in URLs)
+        const delimiter = String.raw`\s"'\`<>\[\]{}\\`;
+        const urlChar = String.raw`(?:[^${delimiter}%]|%[0-9A-Fa-f]{2})`;
+
+        // Quoted-printable: =XX escapes and soft line breaks ("=" at the end
+        // of a line), at most one encoded line (76 characters) apart
+        const qpEscape = String.raw`(?:=[0-9A-F]{2}|=\r?\n)`;
+        const qpWord = String.raw`[\x21-\x3C\x3E-\x7E]{0,64}`;
+
+        // Tried in this order when candidates cover the same text
+        this.encodings = [
+            {
+                id: 'url',
+                label: 'URL-decoded',
+                // A run with %XX escapes (decodeUrl wants two, or one %40 "@")
+                pattern: new RegExp(String.raw`(?<![^${delimiter}])${urlChar}*%[0-9A-Fa-f]{2}${urlChar}*`, 'g'),
+                decode: segment => this.decodeUrl(segment)
+            },
+            {
+                id: 'quoted_printable',
+                label: 'quoted-printable',
+                // Two or more escapes, with the words touching the first and last
+                pattern: new RegExp(String.raw`${qpWord}${qpEscape}(?:[\x21-\x3C\x3E-\x7E \t]{0,76}${qpEscape})+${qpWord}`, 'g'),
+                decode: segment => this.decodeQuotedPrintable(segment)
+            },
+            {
+                id: 'hex',
+                label: 'hex',
+                pattern: /(?<![0-9A-Za-z])(?:0x)?(?:[0-9A-Fa-f]{2}){8,}(?![0-9A-Za-z])/g,
+                decode: segment => this.decodeHex(segment)
+            },
+            {
+                id: 'base64',
+                label: 'base64',
+                // Standard or URL-safe alphabet, padded or not
+                pattern: /(?<![A-Za-z0-9+\/_-])[A-Za-z0-9+\/_-]{16,}={0,2}(?![A-Za-z0-9+\/_=-])/g,
+                decode: segment => this.decodeBase64(segment)
+            }
+        ];
+    }
+
+    /**
+     * Decoded segments of a text, nested ones included
+     * Returns: [{ start, end, text, path }] where start/end locate the
+     * outermost encoded segment in the given text and path lists the
+     * decoding steps, outermost first (e.g. ['base64', 'URL-decoded'])
+     */
+    decode(text) {
+        const budget = { length: this.maxDecodedLength, segments: this.maxSegments };
+        const results = [];
+
+        const visit = (content, depth, outer, path) => {
+            if (depth > this.maxDepth) return;
+            for (const segment of this.findSegments(content, budget)) {
+                const entry = {
+                    start: outer ? outer.start : segment.start,
+                    end: outer ? outer.end : segment.end,
+                    text: segment.text,
+                    path: [...path, segment.label]
+                };
+                results.push(entry);
+                visit(segment.text, depth + 1, entry, entry.path);
+            }
+        };
+
+        visit(text, 1, null, []);
+        return results;
+    }
+
+    /**
+     * Plausible encoded segments at one level, non-overlapping
+     * Returns: [{ start, end, text, label }]
+     */
+    findSegments(text, budget) {
+        const candidates = [];
+        this.encodings.forEach((encoding, rank) => {
+            encoding.pattern.lastIndex = 0;
+            for (const match of text.matchAll(encoding.pattern)) {
+                if (match[0].length > this.maxSegmentLength) continue;
+                candidates.push({ start: match.index, end: match.index + match[0].length, rank, encoding });
+            }
+        });
+
+        // Earlier, then longer, then higher-ranked candidates first
+        candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start) || a.rank - b.rank);
+
+        const segments = [];
+        let cursor = 0;
+        for (const candidate of candidates) {
+            if (candidate.start < cursor) continue;
+            if (budget.segments <= 0 || budget.length <= 0) break;
+
+            const decoded = candidate.encoding.decode(text.substring(candidate.start, candidate.end));
+            if (decoded === null || !this.isPlausible(decoded) || decoded.length > budget.length) continue;
+
+            budget.segments--;
+            budget.length -= decoded.length;
+            segments.push({ start: candidate.start, end: candidate.end, text: decoded, label: candidate.encoding.label });
+            cursor = candidate.end;
+        }
+        return segments;
+    }
+
+    /**
+     * Whether decoded content looks like text: mostly printable, few
+     * control characters
+     */
+    isPlausible(decoded) {
+        if (decoded.length < 4) return false;
+        const controls = (decoded.match(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F\uFFFD]/g) || []).length;
+        return controls / decoded.length < 0.05;
+    }
+
+    /**
+     * Bytes as UTF-8 text, or null when they are not valid UTF-8
+     */
+    bytesToText(bytes) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * %XX escapes ("+" as a space in query strings); runs with a single
+     * escape other than %40 are left alone ("100%25", "a%20b")
+     */
+    decodeUrl(segment) {
+        if ((segment.match(/%[0-9A-Fa-f]{2}/g) || []).length < 2 && !/%40/.test(segment)) return null;
+        const text = segment.includes('=') ? segment.replace(/\+/g, ' ') : segment;
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * =XX escapes and soft line breaks
+     */
+    decodeQuotedPrintable(segment) {
+        const bytes = [];
+        const text = segment.replace(/=\r?\n/g, '');
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '=' && /^[0-9A-F]{2}$/.test(text.substr(i + 1, 2))) {
+                bytes.push(parseInt(text.substr(i + 1, 2), 16));
+                i += 2;
+            } else {
+                bytes.push(...new TextEncoder().encode(text[i]));
+            }
+        }
+        return this.bytesToText(new Uint8Array(bytes));
+    }
+
+    /**
+     * Hex pairs, optionally 0x-prefixed
+     */
+    decodeHex(segment) {
+        const hex = segment.replace(/^0x/, '');
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return this.bytesToText(bytes);
+    }
+
+    /**
+     * Standard or URL-safe base64, padded or not
+     * Runs without a digit, "+", "/" or mixed case are treated as words
+     */
+    decodeBase64(segment) {
+        const body = segment.replace(/=+$/, '');
+        if (body.length % 4 === 1 || (/[+\/]/.test(body) && /[-_]/.test(body))) return null;
+        if (!/[0-9+\/_-]/.test(body) && !(/[a-z]/.test(body) && /[A-Z]/.test(body))) return null;
+
+        const standard = body.replace(/-/g, '+').replace(/_/g, '/');
+        let binary;
+        try {
+            binary = atob(standard + '='.repeat((4 - standard.length % 4) % 4));
+        } catch (error) {
+            return null;
+        }
+        return this.bytesToText(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PayloadDecoder;
+}
@@ -4,104 +4,1200 @@
  */
 
 class PIIDetector {
-    constructor() {
-        // Improved regex patterns matching Python implementation
-        this.patterns = {
-            email: /\b[A-Za-z0-9][A-Za-z0-9._%+\-]*@[A-Za-z0-9][A-Za-z0-9.\-]*\.[A-Za-z]{2,}\b/g,
-            phone: /\b(?:\+?1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})\b/g,
-            name: /\b(?:(?:Dr|Mr|Ms|Mrs|Prof)\.?\s+)?([A-Z][a-z]+(?:[-'][A-Z][a-z]+)?)\s+(?:([A-Z]\.?\s+))?([A-Z][a-z]+(?:[-'][A-Z][a-z]+)?)\b/g,
-            address: /\b\d{1,5}\s+[A-Za-z0-9\s]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Circle|Cir)\b/g,
-            ssn: /\b\d{3}-\d{2}-\d{4}\b/g,
-            credit_card: /\b\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4}\b/g
+    /**
+     * Options:
+     *   typePriority - PII types in order of precedence when spans overlap
+     *   phoneRegion  - ISO country tried first for ambiguous national phone formats
+     *   gazetteer    - { firstNames, surnames, stopwords } lists for name detection
+     *                  (defaults to data/name_gazetteer.js)
+     *   normalizer   - de-obfuscation stage run before detection (e.g. a Deobfuscator)
+     *   decoder      - decoding stage whose decoded payloads are scanned too
+     *                  (e.g. a PayloadDecoder)
+     */
+    constructor(options = {}) {
+        this.severities = ['low', 'medium', 'high', 'critical'];
+
+        // Card brands identified by IIN range and length
+        this.cardBrands = [
+            { brand: 'Visa', prefix: /^4/, lengths: [16] },
+            { brand: 'Mastercard', prefix: /^(?:5[1-5]|2(?:22[1-9]|2[3-9]\d|[3-6]\d\d|7[01]\d|720))/, lengths: [16] },
+            { brand: 'Amex', prefix: /^3[47]/, lengths: [15] },
+            { brand: 'Discover', prefix: /^(?:6011|64[4-9]|65|622(?:12[6-9]|1[3-9]\d|[2-8]\d\d|9[01]\d|92[0-5]))/, lengths: [16] }
+        ];
+
+        // Phone country table: calling code, national significant number
+        // lengths, and (for common national formats) digit + layout rules
+        this.phoneCountries = [
+            { iso: 'US', name: 'United States/Canada', code: '1', lengths: [10], trunk: '1',
+                national: { digits: /^1?[2-9]\d{9}$/, format: /^(?:1[\s.\-]?)?(?:\(\d{3}\)|\d{3})[\s.\-]?\d{3}[\s.\-]?\d{4}$/ } },
+            { iso: 'GB', name: 'United Kingdom', code: '44', lengths: [9, 10], trunk: '0',
+                national: { digits: /^0[1-37-9]\d{8,9}$/, format: /^(?:\(0\d{2,4}\)|0\d{2,4})[\s\-]?\d{3,4}[\s\-]?\d{3,4}$/ } },
+            { iso: 'AU', name: 'Australia', code: '61', lengths: [9], trunk: '0',
+                national: { digits: /^0[2-478]\d{8}$/, format: /^(?:\(0[2378]\)|0[2-478]\d{0,2})[\s\-]?\d{3,4}[\s\-]?\d{3,4}$/ } },
+            { iso: 'FR', name: 'France', code: '33', lengths: [9], trunk: '0',
+                national: { digits: /^0[1-9]\d{8}$/, format: /^0[1-9](?:[\s.\-]\d{2}){4}$/ } },
+            { iso: 'IN', name: 'India', code: '91', lengths: [10], trunk: '0',
+                national: { digits: /^0?[6-9]\d{9}$/, format: /^0?[6-9]\d{4}[\s\-]?\d{5}$/ } },
+            { iso: 'DE', name: 'Germany', code: '49', lengths: [7, 8, 9, 10, 11, 12], trunk: '0',
+                national: { digits: /^0[1-9]\d{6,11}$/, format: /^(?:\(0\d{2,4}\)|0\d{2,4})[\s\-\/]?\d{3,8}(?:[\s\-]\d{1,5})?$/ } },
+            { iso: 'ES', name: 'Spain', code: '34', lengths: [9], trunk: '',
+                national: { digits: /^[6-9]\d{8}$/, format: /^[6-9]\d{2}(?:[\s.\-]\d{3}[\s.\-]\d{3}|(?:[\s.\-]\d{2}){3})$/ } },
+            { iso: 'NL', name: 'Netherlands', code: '31', lengths: [9], trunk: '0',
+                national: { digits: /^0[1-9]\d{8}$/, format: /^0[1-9]\d{0,2}[\s\-]\d{6,8}$/ } },
+            { iso: 'IT', name: 'Italy', code: '39', lengths: [6, 7, 8, 9, 10, 11] },
+            { iso: 'IE', name: 'Ireland', code: '353', lengths: [7, 8, 9] },
+            { iso: 'BE', name: 'Belgium', code: '32', lengths: [8, 9] },
+            { iso: 'PT', name: 'Portugal', code: '351', lengths: [9] },
+            { iso: 'AT', name: 'Austria', code: '43', lengths: [7, 8, 9, 10, 11, 12, 13] },
+            { iso: 'CH', name: 'Switzerland', code: '41', lengths: [9] },
+            { iso: 'SE', name: 'Sweden', code: '46', lengths: [7, 8, 9] },
+            { iso: 'DK', name: 'Denmark', code: '45', lengths: [8] },
+            { iso: 'NO', name: 'Norway', code: '47', lengths: [8] },
+            { iso: 'FI', name: 'Finland', code: '358', lengths: [6, 7, 8, 9, 10] },
+            { iso: 'PL', name: 'Poland', code: '48', lengths: [9] },
+            { iso: 'CZ', name: 'Czechia', code: '420', lengths: [9] },
+            { iso: 'GR', name: 'Greece', code: '30', lengths: [10] },
+            { iso: 'HU', name: 'Hungary', code: '36', lengths: [8, 9] },
+            { iso: 'RO', name: 'Romania', code: '40', lengths: [9] },
+            { iso: 'LU', name: 'Luxembourg', code: '352', lengths: [8, 9, 10, 11] },
+            { iso: 'NZ', name: 'New Zealand', code: '64', lengths: [8, 9, 10] }
+        ];
+        this.phoneRegion = options.phoneRegion || null;
+
+        // Name lists, indexed by lowercase word (value = frequency rank)
+        this.gazetteer = this.indexGazetteer(options.gazetteer || PIIDetector.loadGazetteer());
+
+        // Named validators: match => validation details, or null to reject
+        this.validators = {
+            luhn: match => this.validateLuhn(match),
+            credit_card: match => this.validateCreditCard(match),
+            ssn: match => this.validateSSN(match),
+            iban: match => this.validateIBAN(match),
+            ipv6: match => this.validateIPv6(match),
+            jwt: match => this.validateJWT(match),
+            entropy: match => this.validateEntropy(match),
+            date: match => this.validateDate(match)
+        };
+
+        // Named false-positive filters: (matches, text) => kept matches
+        this.filters = {
+            phone: matches => this.filterPhoneFalsePositives(matches),
+            name: matches => this.filterNameFalsePositives(matches)
         };
 
-        this.piiLabels = {
-            email: 'Email Addresses',
-            phone: 'Phone Numbers',
-            name: 'Names',
-            address: 'Street Addresses',
-            ssn: 'Social Security Numbers',
-            credit_card: 'Credit Card Numbers'
+        // Registered detector types, in detection order
+        this.types = {};
+
+        // Nearby words that suggest a number is not personal data
+        this.negativeContext = [
+            'order', 'order #', 'invoice', 'tracking', 'reference', 'ref', 'transaction',
+            'sku', 'serial', 'part', 'confirmation', 'ticket', 'version', 'build', 'po'
+        ];
+        this.negativeContextPattern = this.buildKeywordPattern(this.negativeContext);
+
+        // Characters before a match searched for context keywords
+        this.contextWindow = 40;
+
+        // Improved regex patterns matching Python implementation
+        this.registerType('email', {
+            pattern: /\b[A-Za-z0-9][A-Za-z0-9._%+\-]{0,63}@[A-Za-z0-9][A-Za-z0-9.\-]*\.[A-Za-z]{2,}\b/g,
+            label: 'Email Addresses',
+            severity: 'medium',
+            confidence: 0.85,
+            context: ['email', 'e-mail', 'mail', 'contact']
+        }, true);
+        this.registerType('phone', {
+            // Loose digit-group candidates; the phone filter validates and trims them
+            pattern: /(?<![\w+])(?:(?:\+|00)\d{1,3}[\s.\-]?)?(?:\(\d{1,5}\)[\s.\-]?)?\d{1,12}(?:[\s.\-\/]\d{1,12}){0,6}(?!\w)/g,
+            label: 'Phone Numbers',
+            severity: 'medium',
+            confidence: 0.6,
+            context: ['phone', 'tel', 'telephone', 'mobile', 'cell', 'call', 'fax', 'contact'],
+            filter: 'phone'
+        }, true);
+        this.registerType('name', {
+            // "Last, First" pairs, or runs of capitalized words (with titles and
+            // initials) that the name filter splits into gazetteer-checked names
+            pattern: /\b(?:O'|Mc|D')?[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?,[ \t]+[A-Z][a-z]+(?:-[A-Z][a-z]+)?(?:[ \t]+[A-Z]\.)?(?![ \t]+[A-Z]|[A-Za-z'-])|\b(?:(?:Dr|Mr|Ms|Mrs|Prof)\.?[ \t]+)?(?:O'|Mc|D')?[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?(?:[ \t]+(?:(?:Dr|Mr|Ms|Mrs|Prof)\.?[ \t]+)?(?:[A-Z]\.?[ \t]+)?(?:O'|Mc|D')?[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?)*/g,
+            label: 'Names',
+            severity: 'low',
+            confidence: 0.5,
+            context: ['name', 'contact', 'attn', 'dear', 'signed'],
+            filter: 'name'
+        }, true);
+        this.registerType('address', {
+            pattern: /\b\d{1,5}\s+[A-Za-z0-9\s]+(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Circle|Cir)\b/g,
+            label: 'Street Addresses',
+            severity: 'medium',
+            confidence: 0.6,
+            context: ['address', 'addr', 'street', 'lives', 'residence', 'ship to', 'mailing']
+        }, true);
+        this.registerType('ssn', {
+            pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+            label: 'Social Security Numbers',
+            severity: 'critical',
+            confidence: 0.6,
+            context: ['ssn', 'social security', 'social', 'ss#', 'tin'],
+            validator: 'ssn'
+        }, true);
+        this.registerType('credit_card', {
+            pattern: /\b(?:\d{4}[-\s]?\d{6}[-\s]?\d{5}|\d{4}[-\s]?\d{4}[-\s]?\d{4}[-\s]?\d{4})\b/g,
+            label: 'Credit Card Numbers',
+            severity: 'critical',
+            confidence: 0.7,
+            context: ['card', 'credit', 'visa', 'mastercard', 'amex', 'cc', 'payment'],
+            validator: 'credit_card'
+        }, true);
+
+        // Secrets and technical identifiers
+        this.registerType('private_key', {
+            pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g,
+            label: 'Private Keys',
+            severity: 'critical',
+            confidence: 0.95
+        }, true);
+        this.registerType('aws_access_key', {
+            pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA)[A-Z0-9]{16}\b/g,
+            label: 'AWS Access Keys',
+            severity: 'critical',
+            confidence: 0.9,
+            context: ['aws', 'access key', 'key id']
+        }, true);
+        this.registerType('github_token', {
+            pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g,
+            label: 'GitHub Tokens',
+            severity: 'critical',
+            confidence: 0.95
+        }, true);
+        this.registerType('slack_token', {
+            pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g,
+            label: 'Slack Tokens',
+            severity: 'critical',
+            confidence: 0.9
+        }, true);
+        this.registerType('stripe_key', {
+            pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+            label: 'Stripe Secret Keys',
+            severity: 'critical',
+            confidence: 0.9
+        }, true);
+        this.registerType('jwt', {
+            pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+            label: 'JSON Web Tokens',
+            severity: 'high',
+            confidence: 0.8,
+            context: ['token', 'bearer', 'authorization', 'jwt'],
+            validator: 'jwt'
+        }, true);
+        this.registerType('generic_secret', {
+            // Only the value after the keyword (capture group 1) is reported
+            pattern: /\b(?:password|passwd|pwd|secret|api[_-]?key|apikey|access[_-]?token|auth[_-]?token|client[_-]?secret|token)["']?\s*[:=]\s*["']?([^\s"',;]{8,})/gi,
+            group: 1,
+            label: 'Passwords & Secrets',
+            severity: 'high',
+            confidence: 0.6,
+            validator: 'entropy'
+        }, true);
+        this.registerType('iban', {
+            pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+            label: 'IBANs',
+            severity: 'high',
+            confidence: 0.7,
+            context: ['iban', 'account', 'bank', 'transfer'],
+            validator: 'iban'
+        }, true);
+        this.registerType('ipv4', {
+            pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\b/g,
+            label: 'IPv4 Addresses',
+            severity: 'low',
+            confidence: 0.5,
+            context: ['ip', 'host', 'server', 'address', 'vpn']
+        }, true);
+        this.registerType('ipv6', {
+            pattern: /(?<![\w:.])(?:[A-Fa-f0-9]{0,4}:){2,7}[A-Fa-f0-9]{0,4}(?![\w:])/g,
+            label: 'IPv6 Addresses',
+            severity: 'low',
+            confidence: 0.6,
+            context: ['ip', 'host', 'server', 'address'],
+            validator: 'ipv6'
+        }, true);
+        this.registerType('date_of_birth', {
+            // Dates only count as DOB when introduced by a birth keyword
+            pattern: /\b(?:DOB|D\.O\.B\.?|date\s+of\s+birth|birth\s*date|birthday|born(?:\s+on)?)\s*[:\-]?\s*(\d{1,2}[\/.\-]\d{1,2}[\/.\-](?:\d{4}|\d{2})|\d{4}-\d{2}-\d{2}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{4})/gi,
+            group: 1,
+            label: 'Dates of Birth',
+            severity: 'high',
+            confidence: 0.8,
+            validator: 'date'
+        }, true);
+
+        // Built-in type ids, so exportConfig() can list the removed ones
+        this.builtinTypeIds = this.getTypes();
+
+        // Types detectRaw runs; null runs every registered type
+        this.enabledTypes = null;
+
+        // Optional { normalize(text), toOriginal(normalized, start, end) }
+        // stage that undoes obfuscation before the patterns run
+        this.normalizer = options.normalizer || null;
+
+        // Optional { decode(text) } stage returning [{ start, end, text, path }]
+        // for encoded segments (base64, hex, ...) whose contents are scanned too
+        this.decoder = options.decoder || null;
+
+        // Overlapping spans are resolved in favour of earlier types
+        this.typePriority = options.typePriority || [
+            'private_key', 'aws_access_key', 'github_token', 'slack_token', 'stripe_key',
+            'jwt', 'generic_secret', 'ssn', 'credit_card', 'iban', 'email',
+            'ipv6', 'ipv4', 'date_of_birth', 'phone', 'address', 'name'
+        ];
+    }
+
+    /**
+     * Register (or replace) a detector type
+     * definition: { pattern, label, severity, confidence?, context?, group?, validator?, filter?, exclude? }
+     *   pattern    - RegExp or regex source string (always run globally)
+     *   confidence - base score (0-1) for a bare pattern match
+     *   context    - keywords that raise confidence when they precede a match
+     *   group      - capture group holding the value (e.g. after a keyword)
+     *   validator  - function(match, text) or name from this.validators;
+     *                returns validation details, or null to reject the match
+     *   filter     - function(matches, text) or name from this.filters
+     *   exclude    - regex source strings; matching values are dropped
+     */
+    registerType(piiType, definition, builtin = false) {
+        if (!/^[a-z][a-z0-9_]*$/.test(piiType)) {
+            throw new Error(`Invalid PII type id "${piiType}" (use lowercase letters, digits and _)`);
+        }
+        if (!definition || !definition.pattern) {
+            throw new Error(`PII type "${piiType}" needs a pattern`);
+        }
+
+        const severity = definition.severity || 'medium';
+        if (!this.severities.includes(severity)) {
+            throw new Error(`Unknown severity "${severity}" for PII type "${piiType}"`);
+        }
+
+        for (const key of ['validator', 'filter']) {
+            const ref = definition[key];
+            const registry = key === 'validator' ? this.validators : this.filters;
+            if (typeof ref === 'string' && !registry[ref]) {
+                throw new Error(`Unknown ${key} "${ref}" for PII type "${piiType}"`);
+            }
+        }
+
+        let pattern = definition.pattern;
+        if (typeof pattern === 'string') {
+            pattern = new RegExp(pattern, definition.flags || '');
+        }
+        if (!pattern.global) {
+            pattern = new RegExp(pattern.source, pattern.flags + 'g');
+        }
+        // Group offsets come from match.indices
+        if (definition.group && !pattern.hasIndices) {
+            pattern = new RegExp(pattern.source, pattern.flags + 'd');
+        }
+
+        this.types[piiType] = {
+            pattern: pattern,
+            label: definition.label || piiType,
+            severity: severity,
+            confidence: definition.confidence !== undefined ? definition.confidence : 0.5,
+            context: definition.context || [],
+            contextPattern: this.buildKeywordPattern(definition.context || []),
+            group: definition.group || 0,
+            validator: definition.validator || null,
+            filter: definition.filter || null,
+            exclude: (definition.exclude || []).map(source => new RegExp(source)),
+            builtin: builtin
         };
     }
 
+    /**
+     * Remove a detector type
+     */
+    unregisterType(piiType) {
+        const existed = piiType in this.types;
+        delete this.types[piiType];
+        if (this.enabledTypes) {
+            this.enabledTypes = this.enabledTypes.filter(type => type !== piiType);
+        }
+        return existed;
+    }
+
+    /**
+     * Restrict detection to the given type ids; null enables every type
+     */
+    setEnabledTypes(types) {
+        if (types === null) {
+            this.enabledTypes = null;
+            return;
+        }
+
+        const unknown = types.filter(piiType => !(piiType in this.types));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown PII type(s): ${unknown.join(', ')}`);
+        }
+        this.enabledTypes = [...new Set(types)];
+    }
+
+    /**
+     * Whether detection runs a type
+     */
+    isTypeEnabled(piiType) {
+        return this.enabledTypes === null || this.enabledTypes.includes(piiType);
+    }
+
+    /**
+     * Registered PII type ids
+     */
+    getTypes() {
+        return Object.keys(this.types);
+    }
+
+    /**
+     * Load custom types from a JSON config (object or JSON string)
+     * config.removed optionally lists built-in type ids to unregister
+     * Returns the ids of the registered types
+     */
+    importConfig(config) {
+        const parsed = typeof config === 'string' ? JSON.parse(config) : config;
+        if (!parsed || !Array.isArray(parsed.types)) {
+            throw new Error('Rule config must have a "types" array');
+        }
+        const removed = parsed.removed || [];
+        if (!Array.isArray(removed) || removed.some(piiType => !this.builtinTypeIds.includes(piiType))) {
+            throw new Error('Rule config "removed" must be an array of built-in type ids');
+        }
+
+        // Validate everything before registering anything
+        const staged = new PIIDetector();
+        for (const definition of parsed.types) {
+            staged.registerType(definition.id, definition);
+        }
+
+        for (const piiType of removed) {
+            this.unregisterType(piiType);
+        }
+        for (const definition of parsed.types) {
+            this.registerType(definition.id, definition);
+        }
+        return parsed.types.map(definition => definition.id);
+    }
+
+    /**
+     * Export custom (non built-in) types as a JSON-serializable config, with
+     * the ids of unregistered built-in types as "removed"
+     * Function validators and filters cannot be serialized and are omitted
+     * (see isSerializable)
+     */
+    exportConfig() {
+        const types = [];
+        const removed = this.builtinTypeIds.filter(piiType => !(piiType in this.types));
+
+        for (const [id, type] of Object.entries(this.types)) {
+            if (type.builtin) continue;
+
+            const definition = {
+                id: id,
+                pattern: type.pattern.source,
+                flags: type.pattern.flags.replace(/[dg]/g, ''),
+                label: type.label,
+                severity: type.severity,
+                confidence: type.confidence
+            };
+            if (type.context.length > 0) definition.context = type.context;
+            if (type.group) definition.group = type.group;
+            if (typeof type.validator === 'string') definition.validator = type.validator;
+            if (typeof type.filter === 'string') definition.filter = type.filter;
+            if (type.exclude.length > 0) definition.exclude = type.exclude.map(re => re.source);
+
+            types.push(definition);
+        }
+
+        return removed.length > 0 ? { version: 1, types, removed } : { version: 1, types };
+    }
+
+    /**
+     * Whether exportConfig() captures every type: false when a type uses a
+     * function validator or filter
+     */
+    isSerializable() {
+        return Object.values(this.types).every(type =>
+            typeof type.validator !== 'function' && typeof type.filter !== 'function');
+    }
+
     /**
      * Detect specific PII type in text
      */
     detect(text, piiType) {
-        if (!this.patterns[piiType]) {
+        const type = this.types[piiType];
+        if (!type) {
             return [];
         }
 
-        const pattern = this.patterns[piiType];
-        const matches = [];
+        const pattern = type.pattern;
+        let matches = [];
         let match;
 
         // Reset regex state
         pattern.lastIndex = 0;
 
         while ((match = pattern.exec(text)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++; // Guard against empty custom patterns
+                continue;
+            }
+            const value = type.group ? match[type.group] : match[0];
+            if (!value) continue;
+
+            const start = type.group ? match.indices[type.group][0] : match.index;
             matches.push({
-                value: match[0],
-                start: match.index,
-                end: match.index + match[0].length
+                value: value,
+                start: start,
+                end: start + value.length
             });
         }
 
         // Apply filters
-        if (piiType === 'phone') {
-            return this.filterPhoneFalsePositives(matches);
-        } else if (piiType === 'name') {
-            return this.filterNameFalsePositives(matches);
+        if (type.exclude.length > 0) {
+            matches = matches.filter(m => !type.exclude.some(re => re.test(m.value)));
+        }
+        if (type.filter) {
+            const filter = typeof type.filter === 'string' ? this.filters[type.filter] : type.filter;
+            matches = filter(matches, text);
+        }
+
+        // Apply validator
+        if (type.validator) {
+            const validate = typeof type.validator === 'string' ? this.validators[type.validator] : type.validator;
+            matches = matches.filter(m => {
+                const validation = validate(m, text);
+                if (!validation) {
+                    return false;
+                }
+                if (typeof validation === 'object') {
+                    m.validation = validation;
+                }
+                return true;
+            });
+        }
+
+        for (const m of matches) {
+            m.confidence = this.scoreConfidence(m, type, text);
         }
 
         return matches;
     }
 
     /**
-     * Filter phone number false positives (dates, etc.)
+     * Case-insensitive whole-word regex for a keyword list
+     */
+    buildKeywordPattern(keywords) {
+        if (keywords.length === 0) {
+            return null;
+        }
+        const escaped = keywords.map(k => k.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`(?:^|[^A-Za-z0-9])(?:${escaped.join('|')})(?![A-Za-z0-9])`, 'i');
+    }
+
+    /**
+     * Confidence score (0-1) from pattern strength, validator result
+     * and keywords just before the match
+     */
+    scoreConfidence(match, type, text) {
+        const window = text.substring(Math.max(0, match.start - this.contextWindow), match.start);
+        let score = type.confidence;
+
+        if (match.validation) {
+            score += 0.15;
+        }
+        if (type.contextPattern && type.contextPattern.test(window)) {
+            score += 0.2;
+        }
+        if (/\d/.test(match.value) && this.negativeContextPattern.test(window)) {
+            score -= 0.3; // Only numbers are mistaken for order/invoice ids
+        }
+
+        return Math.round(Math.min(1, Math.max(0.05, score)) * 100) / 100;
+    }
+
+    /**
+     * Validate phone candidates against the country table
+     * Each candidate is trimmed to its longest valid run of digit groups,
+     * normalized to E.164 and tagged with its country
      */
     filterPhoneFalsePositives(matches) {
-        return matches.filter(match => {
-            const digits = match.value.match(/\d+/g);
-            if (digits && digits.length === 3) {
-                // Check if it looks like a date (month <= 12, day <= 31)
-                const first = parseInt(digits[0]);
-                const second = parseInt(digits[1]);
-                if (first <= 12 && second <= 31) {
-                    return false; // Likely a date
+        const phones = [];
+
+        for (const match of matches) {
+            if ((match.value.match(/\d/g) || []).length < 7) continue;
+
+            const tokens = [...match.value.matchAll(/\(?\d+\)?/g)];
+            let best = null;
+
+            for (let i = 0; i < tokens.length; i++) {
+                for (let j = tokens.length - 1; j >= i; j--) {
+                    const from = i === 0 ? 0 : tokens[i].index;
+                    const to = tokens[j].index + tokens[j][0].length;
+                    if (best && to - from <= best.to - best.from) continue;
+
+                    const parsed = this.parsePhone(match.value.substring(from, to));
+                    if (parsed) {
+                        best = { from, to, parsed };
+                    }
                 }
             }
-            return true;
-        });
+
+            if (!best) continue;
+
+            const country = best.parsed.country;
+            phones.push({
+                value: match.value.substring(best.from, best.to),
+                start: match.start + best.from,
+                end: match.start + best.to,
+                normalized: best.parsed.e164,
+                validation: {
+                    method: 'phone',
+                    country: country.iso,
+                    e164: best.parsed.e164,
+                    label: country.name
+                }
+            });
+        }
+
+        return phones;
+    }
+
+    /**
+     * Parse a phone number in international or national format
+     * Returns { e164, country } or null when no country rule accepts it
+     */
+    parsePhone(raw) {
+        const international = raw.match(/^(?:\+|00)(.*)$/);
+
+        if (international) {
+            // "+44 (0)20 ..." carries a redundant trunk prefix
+            const digits = international[1].replace(/\(0\)/, '').replace(/\D/g, '');
+            for (let codeLength = 1; codeLength <= 3; codeLength++) {
+                const code = digits.substring(0, codeLength);
+                const country = this.phoneCountries.find(c => c.code === code);
+                if (country && country.lengths.includes(digits.length - codeLength)) {
+                    return { e164: `+${digits}`, country };
+                }
+            }
+            return null;
+        }
+
+        const digits = raw.replace(/\D/g, '');
+        const countries = this.phoneCountries.filter(c => c.national);
+        countries.sort((a, b) => (b.iso === this.phoneRegion) - (a.iso === this.phoneRegion));
+
+        for (const country of countries) {
+            if (!country.national.digits.test(digits) || !country.national.format.test(raw)) {
+                continue;
+            }
+
+            const hasTrunk = country.trunk && digits.startsWith(country.trunk) &&
+                country.lengths.includes(digits.length - country.trunk.length);
+            const nsn = hasTrunk ? digits.substring(country.trunk.length) : digits;
+            if (country.lengths.includes(nsn.length)) {
+                return { e164: `+${country.code}${nsn}`, country };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Load the bundled name gazetteer (browser global or Node module)
+     */
+    static loadGazetteer() {
+        if (typeof NameGazetteer !== 'undefined') {
+            return NameGazetteer;
+        }
+        if (typeof require === 'function') {
+            try {
+                return require('./data/name_gazetteer.js');
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Index gazetteer lists by lowercase word; falls back to a minimal
+     * stoplist when no gazetteer is available
+     */
+    indexGazetteer(gazetteer) {
+        if (!gazetteer) {
+            return {
+                firstNames: null,
+                surnames: null,
+                stopwords: new Set(['the', 'this', 'that', 'will', 'may', 'june', 'july',
+                    'august', 'march', 'april', 'january', 'february'])
+            };
+        }
+
+        const rank = list => {
+            const index = new Map();
+            list.forEach((name, i) => {
+                const key = name.toLowerCase();
+                if (!index.has(key)) index.set(key, i + 1);
+            });
+            return index;
+        };
+
+        return {
+            firstNames: rank(gazetteer.firstNames || []),
+            surnames: rank(gazetteer.surnames || []),
+            stopwords: new Set((gazetteer.stopwords || []).map(word => word.toLowerCase()))
+        };
+    }
+
+    /**
+     * Frequency rank of a word in a name list (hyphenated parts count), or 0
+     */
+    nameRank(word, list) {
+        if (!list) return 0;
+        const key = word.toLowerCase();
+        if (list.has(key)) return list.get(key);
+
+        for (const part of key.split('-')) {
+            if (list.has(part)) return list.get(part);
+        }
+        return 0;
+    }
+
+    /**
+     * Decide whether a first/last pair is a person's name
+     * Returns validation details ({} when accepted without gazetteer support),
+     * or null to reject
+     */
+    classifyName(first, last, titled) {
+        const { firstNames, surnames, stopwords } = this.gazetteer;
+        const firstRank = this.nameRank(first, firstNames);
+        const lastRank = last ? this.nameRank(last, surnames) : 0;
+
+        // Known first name + known surname wins even over stopwords ("May Johnson")
+        if (firstRank && lastRank) {
+            return { method: 'gazetteer', label: 'known name', firstRank, lastRank };
+        }
+
+        const isStop = word => stopwords.has(word.toLowerCase());
+        if (isStop(first) || (last && isStop(last))) {
+            return null;
+        }
+
+        if (!firstNames) {
+            return last ? {} : null; // No gazetteer: legacy stoplist only
+        }
+        if (titled) {
+            return { method: 'title', label: 'title + name' };
+        }
+        if (!last) {
+            return null;
+        }
+        if (firstRank || lastRank) {
+            return {}; // One side known, the other a plausible unlisted name
+        }
+        return null;
     }
 
     /**
-     * Filter name false positives (common words, months)
+     * Split capitalized runs into gazetteer-checked names and check
+     * "Last, First" pairs against both lists
      */
     filterNameFalsePositives(matches) {
-        const commonWords = new Set([
-            'The', 'This', 'That', 'Will', 'May', 'June', 'July',
-            'August', 'March', 'April', 'January', 'February'
-        ]);
+        const names = [];
 
-        return matches.filter(match => {
-            const words = match.value.split(/\s+/);
-            return !words.some(word => commonWords.has(word));
-        });
+        for (const match of matches) {
+            // "Last, First [M.]" form
+            if (match.value.includes(',')) {
+                const [last, rest] = match.value.split(/,\s+/);
+                const first = rest.split(/\s+/)[0];
+                if (this.nameRank(first, this.gazetteer.firstNames) && this.nameRank(last, this.gazetteer.surnames)) {
+                    names.push({
+                        ...match,
+                        validation: { method: 'gazetteer', label: 'Last, First' }
+                    });
+                }
+                continue;
+            }
+
+            const tokens = [];
+            for (const token of match.value.matchAll(/(?:Dr|Mr|Ms|Mrs|Prof)\.?(?=[ \t])|(?:O'|Mc|D')?[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?|[A-Z]\.?/g)) {
+                const text = token[0];
+                const kind = /^(?:Dr|Mr|Ms|Mrs|Prof)\.?$/.test(text) && /[ \t]/.test(match.value[token.index + text.length] || '')
+                    ? 'title'
+                    : (/^[A-Z]\.?$/.test(text) ? 'initial' : 'word');
+                tokens.push({ text, kind, start: token.index, end: token.index + text.length });
+            }
+
+            let k = 0;
+            while (k < tokens.length) {
+                const titled = tokens[k].kind === 'title';
+                const firstIndex = titled ? k + 1 : k;
+                const first = tokens[firstIndex];
+                if (!first || first.kind !== 'word') {
+                    k++;
+                    continue;
+                }
+
+                let lastIndex = firstIndex + 1;
+                if (tokens[lastIndex] && tokens[lastIndex].kind === 'initial') {
+                    lastIndex++;
+                }
+                const last = tokens[lastIndex] && tokens[lastIndex].kind === 'word' ? tokens[lastIndex] : null;
+
+                // "Dr. Smith": a title with a single surname
+                const validation = last
+                    ? this.classifyName(first.text, last.text, titled)
+                    : (titled && this.nameRank(first.text, this.gazetteer.surnames) ? { method: 'title', label: 'title + surname' } : null);
+
+                if (!validation) {
+                    k++;
+                    continue;
+                }
+
+                const end = (last || first).end;
+                const name = {
+                    value: match.value.substring(tokens[k].start, end),
+                    start: match.start + tokens[k].start,
+                    end: match.start + end
+                };
+                if (validation.method) {
+                    name.validation = validation;
+                }
+                names.push(name);
+                k = (last ? lastIndex : firstIndex) + 1;
+            }
+        }
+
+        return names;
     }
 
     /**
-     * Detect all PII types in text
+     * Generic Luhn validator for custom numeric identifiers
      */
-    detectAll(text) {
+    validateLuhn(match) {
+        const digits = match.value.replace(/\D/g, '');
+        if (!this.luhnCheck(digits)) {
+            return null;
+        }
+        return { method: 'luhn', label: 'Luhn-valid' };
+    }
+
+    /**
+     * Accept card numbers that pass the Luhn check and belong to a known brand
+     */
+    validateCreditCard(match) {
+        const digits = match.value.replace(/\D/g, '');
+        if (!this.luhnCheck(digits)) {
+            return null;
+        }
+
+        const brand = this.getCardBrand(digits);
+        if (!brand) {
+            return null; // Luhn-valid but outside known IIN ranges
+        }
+
+        return {
+            method: 'luhn',
+            brand: brand,
+            label: `valid ${brand}`
+        };
+    }
+
+    /**
+     * Luhn (mod 10) checksum
+     */
+    luhnCheck(digits) {
+        let sum = 0;
+        let double = false;
+
+        for (let i = digits.length - 1; i >= 0; i--) {
+            let digit = parseInt(digits[i], 10);
+            if (double) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+            double = !double;
+        }
+
+        return digits.length > 0 && sum % 10 === 0;
+    }
+
+    /**
+     * Identify card brand by IIN range and length
+     */
+    getCardBrand(digits) {
+        const match = this.cardBrands.find(card =>
+            card.prefix.test(digits) && card.lengths.includes(digits.length)
+        );
+        return match ? match.brand : null;
+    }
+
+    /**
+     * Reject SSNs with impossible area/group/serial values
+     */
+    validateSSN(match) {
+        const [area, group, serial] = match.value.split('-');
+
+        // Area 000, 666 and 900-999 are never issued
+        if (area === '000' || area === '666' || area[0] === '9') {
+            return null;
+        }
+        if (group === '00' || serial === '0000') {
+            return null;
+        }
+
+        return {
+            method: 'ssn_structure',
+            label: 'valid SSN structure'
+        };
+    }
+
+    /**
+     * IBAN mod-97 checksum (ISO 13616)
+     */
+    validateIBAN(match) {
+        const iban = match.value.replace(/ /g, '');
+        if (iban.length < 15 || iban.length > 34) {
+            return null;
+        }
+
+        // Move country code and check digits to the end, letters become 10-35
+        const rearranged = iban.substring(4) + iban.substring(0, 4);
+        let remainder = 0;
+        for (const ch of rearranged) {
+            const code = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+            for (const digit of code) {
+                remainder = (remainder * 10 + Number(digit)) % 97;
+            }
+        }
+
+        if (remainder !== 1) {
+            return null;
+        }
+        return { method: 'mod97', label: `valid ${iban.substring(0, 2)} IBAN` };
+    }
+
+    /**
+     * Structural IPv6 check (8 groups, or fewer with a single ::)
+     */
+    validateIPv6(match) {
+        const value = match.value;
+        const compressed = value.split('::').length - 1;
+        if (compressed > 1) {
+            return null;
+        }
+
+        const groups = value.split(':').filter(group => group !== '');
+        if (groups.some(group => group.length > 4)) {
+            return null;
+        }
+        if (compressed === 0 ? groups.length !== 8 : groups.length > 7 || groups.length === 0) {
+            return null;
+        }
+
+        return { method: 'ipv6_structure', label: 'valid IPv6' };
+    }
+
+    /**
+     * JWT header must decode to JSON with an "alg" field
+     */
+    validateJWT(match) {
+        try {
+            const segment = match.value.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+            const header = JSON.parse(atob(segment + '='.repeat((4 - segment.length % 4) % 4)));
+            if (!header || !header.alg) {
+                return null;
+            }
+            return { method: 'jwt_header', label: `JWT (${header.alg})` };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Keep secret values with enough Shannon entropy to be real credentials
+     */
+    validateEntropy(match) {
+        const value = match.value;
+        const counts = {};
+        for (const ch of value) {
+            counts[ch] = (counts[ch] || 0) + 1;
+        }
+
+        let entropy = 0;
+        for (const ch in counts) {
+            const p = counts[ch] / value.length;
+            entropy -= p * Math.log2(p);
+        }
+
+        if (entropy < 3.0) {
+            return null; // Placeholders like "********" or "changeme"
+        }
+        return { method: 'entropy', label: `entropy ${entropy.toFixed(1)} bits/char` };
+    }
+
+    /**
+     * Accept calendar-valid dates in a plausible birth year range
+     */
+    validateDate(match) {
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const value = match.value;
+        let year, month, day;
+        let parts;
+
+        if ((parts = value.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+            [year, month, day] = [parts[1], parts[2], parts[3]].map(Number);
+        } else if ((parts = value.match(/^(\d{1,2})[\/.\-](\d{1,2})[\/.\-](\d{2,4})$/))) {
+            // Accept both month-first and day-first orderings
+            const first = Number(parts[1]);
+            const second = Number(parts[2]);
+            [month, day] = first > 12 ? [second, first] : [first, second];
+            year = Number(parts[3]);
+        } else if ((parts = value.match(/^([A-Za-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/))) {
+            month = months.indexOf(parts[1].substring(0, 3).toLowerCase()) + 1;
+            day = Number(parts[2]);
+            year = Number(parts[3]);
+        } else if ((parts = value.match(/^(\d{1,2})\s+([A-Za-z]+)\.?\s+(\d{4})$/))) {
+            day = Number(parts[1]);
+            month = months.indexOf(parts[2].substring(0, 3).toLowerCase()) + 1;
+            year = Number(parts[3]);
+        } else {
+            return null;
+        }
+
+        if (year < 100) {
+            year += 1900;
+        }
+        const daysInMonth = new Date(year, month, 0).getDate();
+        if (month < 1 || month > 12 || day < 1 || day > daysInMonth) {
+            return null;
+        }
+        if (year < 1900 || year > new Date().getFullYear()) {
+            return null;
+        }
+
+        return { method: 'date', label: 'plausible date' };
+    }
+
+    /**
+     * Detect every PII type without resolving overlaps
+     * Returns a flat list of matches tagged with their type. Matches found in
+     * decoded payloads cover the whole encoded segment and carry decodePath,
+     * the decoding steps outermost first (e.g. ['base64', 'URL-decoded'])
+     */
+    detectRaw(text) {
+        return [...this.detectText(text), ...this.detectDecoded(text)];
+    }
+
+    /**
+     * Raw matches in the decoded payloads of text ([] without a decoder)
+     * Chunked scans call this once on the whole text, since an encoded
+     * segment can be longer than the chunk overlap
+     */
+    detectDecoded(text) {
+        const matches = [];
+        if (!this.decoder) {
+            return matches;
+        }
+
+        for (const segment of this.decoder.decode(text)) {
+            for (const match of this.detectText(segment.text)) {
+                matches.push({ ...match, start: segment.start, end: segment.end, decodePath: segment.path });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Raw matches in text as written (after the normalizer, if any)
+     */
+    detectText(text) {
+        const normalized = this.normalizer ? this.normalizer.normalize(text) : { text, changed: false };
+        const matches = [];
+        for (const piiType in this.types) {
+            if (!this.isTypeEnabled(piiType)) continue;
+            for (const match of this.detect(normalized.text, piiType)) {
+                matches.push(normalized.changed
+                    ? this.toOriginalMatch({ ...match, type: piiType }, text, normalized)
+                    : { ...match, type: piiType });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Map a match in normalized text back to the original text
+     * Matches whose original characters differ are flagged obfuscated and
+     * keep the de-obfuscated value as their normalized form
+     */
+    toOriginalMatch(match, text, normalized) {
+        const { start, end } = this.normalizer.toOriginal(normalized, match.start, match.end);
+        const value = text.substring(start, end);
+        if (value === match.value) {
+            return { ...match, start, end };
+        }
+        return {
+            ...match,
+            value: value,
+            start: start,
+            end: end,
+            normalized: match.normalized || match.value,
+            obfuscated: true
+        };
+    }
+
+    /**
+     * Set (or with null, remove) the de-obfuscation stage
+     */
+    setNormalizer(normalizer) {
+        this.normalizer = normalizer || null;
+    }
+
+    /**
+     * Set (or with null, remove) the payload decoding stage
+     */
+    setDecoder(decoder) {
+        this.decoder = decoder || null;
+    }
+
+    /**
+     * Set the order in which PII types win overlapping spans
+     */
+    setTypePriority(order) {
+        this.typePriority = [...order];
+    }
+
+    /**
+     * Rank of a PII type (lower wins); unlisted types rank last
+     */
+    getPriority(piiType) {
+        const index = this.typePriority.indexOf(piiType);
+        return index === -1 ? this.typePriority.length : index;
+    }
+
+    /**
+     * Reduce matches to non-overlapping spans
+     * Higher-priority types win, then longer matches, then earlier ones.
+     * Decoded matches are never dropped: one that loses is kept in the
+     * companions list of the span covering it (see flattenSpans)
+     */
+    resolveOverlaps(matches) {
+        const candidates = [...matches].sort((a, b) =>
+            this.getPriority(a.type) - this.getPriority(b.type) ||
+            (b.end - b.start) - (a.end - a.start) ||
+            a.start - b.start
+        );
+
+        // Accepted spans kept sorted by start for binary-search overlap checks
+        const accepted = [];
+
+        for (const candidate of candidates) {
+            let low = 0;
+            let high = accepted.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (accepted[mid].start < candidate.start) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+
+            const prev = accepted[low - 1];
+            const next = accepted[low];
+            const blocker = prev && prev.end > candidate.start ? low - 1
+                : next && next.start < candidate.end ? low : -1;
+
+            if (blocker === -1) {
+                accepted.splice(low, 0, candidate);
+            } else if (candidate.decodePath) {
+                const span = accepted[blocker];
+                accepted[blocker] = { ...span, companions: [...(span.companions || []), candidate] };
+            }
+        }
+
+        return accepted;
+    }
+
+    /**
+     * Final non-overlapping PII spans in document order
+     */
+    resolveSpans(text) {
+        return this.resolveOverlaps(this.detectRaw(text));
+    }
+
+    /**
+     * Split a text length into chunk ranges of chunkSize characters
+     */
+    getChunks(length, chunkSize = 200000) {
+        const chunks = [];
+        for (let start = 0; start < length; start += chunkSize) {
+            chunks.push({ start, end: Math.min(length, start + chunkSize) });
+        }
+        return chunks.length > 0 ? chunks : [{ start: 0, end: 0 }];
+    }
+
+    /**
+     * Raw matches for one chunk, with absolute offsets
+     * The chunk is scanned with `overlap` characters of context on each side
+     * so matches crossing its edges are found whole; only matches starting
+     * inside the chunk are kept, so neighbouring chunks never report twice.
+     * overlap must exceed the longest expected match. Decoded payloads are
+     * not scanned here: add detectDecoded() on the whole text.
+     */
+    detectChunk(text, chunk, overlap = 5000) {
+        const from = Math.max(0, chunk.start - overlap);
+        const to = Math.min(text.length, chunk.end + overlap);
+        const matches = [];
+
+        for (const match of this.detectText(text.substring(from, to))) {
+            const start = from + match.start;
+            if (start < chunk.start || start >= chunk.end) continue;
+
+            matches.push({ ...match, start, end: from + match.end });
+        }
+
+        return matches;
+    }
+
+    /**
+     * Every finding in resolved spans, companions included (these share the
+     * range of the span carrying them, so the result may overlap)
+     */
+    flattenSpans(spans) {
+        return spans.flatMap(({ companions, ...span }) => companions ? [span, ...companions] : [span]);
+    }
+
+    /**
+     * Group resolved spans by PII type
+     */
+    groupByType(spans) {
         const results = {};
-        for (const piiType in this.patterns) {
-            results[piiType] = this.detect(text, piiType);
+        for (const piiType in this.types) {
+            results[piiType] = [];
+        }
+        for (const span of this.flattenSpans(spans)) {
+            const { type, ...match } = span;
+            (results[type] = results[type] || []).push(match);
         }
         return results;
     }
 
+    /**
+     * Detect all PII types in text
+     */
+    detectAll(text) {
+        return this.groupByType(this.resolveSpans(text));
+    }
+
     /**
      * Get summary counts
      */
@@ -114,15 +1210,50 @@ class PIIDetector {
         return summary;
     }
 
+    /**
+     * Unique matches per type from resolved spans
+     * Keeps the highest-confidence occurrence of each (normalized) value
+     * Options: minConfidence - drop matches scored below this threshold
+     */
+    uniqueFromSpans(spans, options = {}) {
+        const minConfidence = options.minConfidence || 0;
+        const grouped = this.groupByType(spans);
+        const unique = {};
+
+        for (const piiType in grouped) {
+            const seen = new Map();
+            for (const match of grouped[piiType]) {
+                if (match.confidence < minConfidence) continue;
+
+                // Normalized forms (e.g. E.164 phones) collapse formatting variants
+                const key = match.normalized || match.value;
+                const existing = seen.get(key);
+                if (!existing || match.confidence > existing.confidence) {
+                    seen.set(key, match);
+                }
+            }
+            unique[piiType] = [...seen.values()];
+        }
+
+        return unique;
+    }
+
+    /**
+     * Get unique PII matches
+     */
+    getUniqueMatches(text, options = {}) {
+        return this.uniqueFromSpans(this.resolveSpans(text), options);
+    }
+
     /**
      * Get unique PII values
      */
-    getUniqueValues(text) {
-        const results = this.detectAll(text);
+    getUniqueValues(text, options = {}) {
+        const matches = this.getUniqueMatches(text, options);
         const unique = {};
         
-        for (const piiType in results) {
-            unique[piiType] = [...new Set(results[piiType].map(m => m.value))];
+        for (const piiType in matches) {
+            unique[piiType] = matches[piiType].map(m => m.value);
         }
         
         return unique;
@@ -132,38 +1263,32 @@ class PIIDetector {
      * Anonymize text by replacing PII with placeholders
      */
     anonymize(text) {
-        let anonymized = text;
-        const results = this.detectAll(text);
+        const spans = this.resolveSpans(text);
+        let anonymized = '';
+        let cursor = 0;
 
-        // Sort all matches by position (descending) to avoid offset issues
-        const allMatches = [];
-        for (const piiType in results) {
-            for (const match of results[piiType]) {
-                allMatches.push({
-                    ...match,
-                    type: piiType
-                });
-            }
+        // Spans are non-overlapping and sorted, so splice them in one pass
+        for (const span of spans) {
+            const placeholder = `[${this.getLabel(span.type).toUpperCase()}]`;
+            anonymized += text.substring(cursor, span.start) + placeholder;
+            cursor = span.end;
         }
-        
-        allMatches.sort((a, b) => b.start - a.start);
 
-        // Replace from end to start
-        for (const match of allMatches) {
-            const placeholder = `[${this.piiLabels[match.type].toUpperCase()}]`;
-            anonymized = anonymized.substring(0, match.start) + 
-                        placeholder + 
-                        anonymized.substring(match.end);
-        }
-
-        return anonymized;
+        return anonymized + text.substring(cursor);
     }
 
     /**
      * Get label for PII type
      */
     getLabel(piiType) {
-        return this.piiLabels[piiType] || piiType;
+        return this.types[piiType] ? this.types[piiType].label : piiType;
+    }
+
+    /**
+     * Get severity for PII type
+     */
+    getSeverity(piiType) {
+        return this.types[piiType] ? this.types[piiType].severity : 'medium';
     }
 }
 
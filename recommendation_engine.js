@@ -0,0 +1,229 @@
+/**
+ * OpenPII Watcher - Recommendation Engine (JavaScript)
+ * Rule-driven, platform-aware remediation advice ordered by urgency
+ */
+
+class RecommendationEngine {
+    /**
+     * Options (see configure()):
+     *   rules - extra rules, added after (or replacing by id) the built-in ones
+     */
+    constructor(detector, options = {}) {
+        this.detector = detector;
+
+        // Most urgent first; 'severity' in a rule means the highest severity
+        // among the types it matched
+        this.urgencies = ['critical', 'high', 'medium', 'low', 'info'];
+
+        // Platform ids as returned by ContentFetcher.detectPlatform, plus the
+        // app's pasted_text / local_file and the CLI's stdin
+        const google = ['google_docs', 'google_sheets', 'google_slides'];
+        const github = ['github_gist', 'github_raw'];
+        const local = ['pasted_text', 'local_file', 'stdin'];
+        const secrets = ['private_key', 'aws_access_key', 'github_token', 'slack_token', 'stripe_key', 'jwt', 'generic_secret'];
+
+        /**
+         * Rule fields (all optional except id, urgency and message):
+         *   types       - PII types the rule is about (default: every type found)
+         *   custom      - only custom (non-built-in) types
+         *   minSeverity - only types at least this severe
+         *   minCount    - unique values needed across the matched types (default 1)
+         *   platforms   - only for these platforms
+         *   none        - only when nothing was found
+         *   each        - one recommendation per matched type
+         *   urgency     - one of this.urgencies, or 'severity'
+         *   message     - text; {count}, {types} and {severity} are filled in
+         */
+        this.builtinRules = [
+            { id: 'nothing_found', none: true, urgency: 'info',
+                message: 'No PII detected. This document appears safe for public sharing.' },
+
+            // Secrets: rotation comes before removal, the value is already out
+            { id: 'private_key', types: ['private_key'], urgency: 'critical',
+                message: 'Private key blocks detected. Revoke the key pair and issue a new one.' },
+            { id: 'aws_access_key', types: ['aws_access_key'], urgency: 'critical',
+                message: 'AWS access keys detected. Deactivate them in IAM, rotate, and review CloudTrail for misuse.' },
+            { id: 'service_tokens', types: ['github_token', 'slack_token', 'stripe_key'], urgency: 'critical',
+                message: '{types} detected. Revoke these tokens in the issuing service and generate new ones.' },
+            { id: 'github_secret_rotation', types: secrets, platforms: github, urgency: 'critical',
+                message: 'GitHub: deleting the gist or file does not un-leak {types}. Forks, clones and the revision history keep them, so rotate every secret first, then clean up.' },
+            { id: 'generic_secret', types: ['generic_secret'], urgency: 'high',
+                message: 'Found {count} password(s) or secret(s). Change them everywhere they are reused.' },
+            { id: 'jwt', types: ['jwt'], urgency: 'high',
+                message: 'Found {count} JSON Web Token(s). Invalidate the sessions and rotate the signing key if they are long-lived.' },
+
+            // Identity and financial data
+            { id: 'ssn', types: ['ssn'], urgency: 'critical',
+                message: 'Social Security Numbers detected ({count}). Remove them immediately and tell the people affected so they can freeze their credit.' },
+            { id: 'credit_card', types: ['credit_card'], urgency: 'critical',
+                message: 'Credit card numbers detected ({count}). Remove them immediately and have the cards cancelled and reissued.' },
+            { id: 'iban', types: ['iban'], urgency: 'high',
+                message: 'Found {count} IBAN(s). Notify the account holders and watch for fraudulent debits.' },
+            { id: 'date_of_birth', types: ['date_of_birth'], urgency: 'high',
+                message: 'Found {count} date(s) of birth. Combined with names these enable identity theft.' },
+            { id: 'contact_list', types: ['email', 'phone'], minCount: 20, urgency: 'high',
+                message: '{count} email addresses and phone numbers: this looks like a contact list. Publishing one may breach data-protection law (e.g. GDPR); share it only with the people who need it.' },
+            { id: 'email', types: ['email'], urgency: 'medium',
+                message: 'Found {count} email address(es). Consider removing or redacting them.' },
+            { id: 'phone', types: ['phone'], urgency: 'medium',
+                message: 'Found {count} phone number(s). These should not be publicly accessible.' },
+            { id: 'address', types: ['address'], urgency: 'medium',
+                message: 'Found {count} street address(es). Home addresses should not be publicly accessible.' },
+            { id: 'ip_address', types: ['ipv4', 'ipv6'], urgency: 'low',
+                message: 'Found {count} IP address(es). Internal addresses reveal network layout; check whether they belong to your infrastructure.' },
+            { id: 'custom_type', custom: true, each: true, urgency: 'severity',
+                message: 'Found {count} {types} (custom rule, {severity} severity).' },
+
+            // Platform remediation
+            { id: 'google_sharing', platforms: google, urgency: 'severity',
+                message: 'Google: open Share and set General access from "Anyone with the link" to "Restricted", then remove people who no longer need access. If the file was published (File > Share > Publish to web), stop publishing. Version history keeps removed text, so share a clean copy instead.' },
+            { id: 'pastebin_removal', platforms: ['pastebin'], urgency: 'severity',
+                message: 'Pastebin: unlisted pastes are still open to anyone with the link, and public ones are scraped within minutes. Delete the paste from your account (guest pastes can only be removed through a report to Pastebin) and assume its contents have been copied.' },
+            { id: 'rentry_removal', platforms: ['rentry'], urgency: 'severity',
+                message: 'Rentry: open the paste\'s edit page and delete it with its edit code; assume its contents have been copied.' },
+            { id: 'hastebin_removal', platforms: ['hastebin'], urgency: 'severity',
+                message: 'Hastebin: anyone with the link can read the paste until it expires. Ask the service to remove it and assume its contents have been copied.' },
+            { id: 'github_removal', platforms: github, urgency: 'severity',
+                message: 'GitHub: secret gists are readable by anyone with the URL. Delete the gist; for repository files, remove the data and purge it from history (e.g. git filter-repo, then force-push).' },
+            { id: 'dropbox_sharing', platforms: ['dropbox'], urgency: 'severity',
+                message: 'Dropbox: delete the shared link or restrict it to invited people, and set an expiry on links you still need.' },
+            { id: 'onedrive_sharing', platforms: ['onedrive'], urgency: 'severity',
+                message: 'OneDrive: under Manage access, remove "Anyone with the link" links and share with specific people instead.' },
+            { id: 'before_sharing', platforms: local, urgency: 'severity',
+                message: 'Remove or redact the findings before sharing, and share a redacted copy instead of the original.' }
+        ];
+
+        this.rules = this.builtinRules.map(rule => ({ ...rule, builtin: true }));
+        this.configure(options);
+    }
+
+    /**
+     * Add rules, replacing any with the same id
+     * config: { rules: [rule] }
+     */
+    configure(config = {}) {
+        if (config.rules === undefined) return;
+        if (!Array.isArray(config.rules)) {
+            throw new Error('Recommendation config "rules" must be an array');
+        }
+
+        for (const rule of config.rules) {
+            this.validateRule(rule);
+        }
+        for (const rule of config.rules) {
+            const index = this.rules.findIndex(existing => existing.id === rule.id);
+            const entry = { ...rule, builtin: false };
+            if (index === -1) {
+                this.rules.push(entry);
+            } else {
+                this.rules[index] = entry;
+            }
+        }
+    }
+
+    /**
+     * Throw if a rule is malformed
+     */
+    validateRule(rule) {
+        if (!rule || !rule.id || typeof rule.message !== 'string') {
+            throw new Error('Each recommendation rule needs an id and a message');
+        }
+        if (rule.urgency !== 'severity' && !this.urgencies.includes(rule.urgency)) {
+            throw new Error(`Recommendation rule "${rule.id}": urgency must be one of ${this.urgencies.join(', ')} or severity`);
+        }
+        if (rule.minSeverity !== undefined && !this.detector.severities.includes(rule.minSeverity)) {
+            throw new Error(`Recommendation rule "${rule.id}": minSeverity must be one of ${this.detector.severities.join(', ')}`);
+        }
+        for (const key of ['types', 'platforms']) {
+            if (rule[key] !== undefined && !Array.isArray(rule[key])) {
+                throw new Error(`Recommendation rule "${rule.id}": "${key}" must be an array`);
+            }
+        }
+        if (rule.minCount !== undefined && !(rule.minCount >= 1)) {
+            throw new Error(`Recommendation rule "${rule.id}": minCount must be at least 1`);
+        }
+    }
+
+    /**
+     * Custom rules as a JSON-serializable config
+     */
+    exportConfig() {
+        return {
+            rules: this.rules.filter(rule => !rule.builtin).map(({ builtin, ...rule }) => rule)
+        };
+    }
+
+    /**
+     * Recommendations for a scan
+     * results: unique matches per type; platform: where the document is shared
+     * Returns: [{ id, urgency, message }], most urgent first (ties keep rule order)
+     */
+    recommend(results, platform) {
+        const found = Object.keys(results).filter(piiType => results[piiType].length > 0);
+        const recommendations = [];
+
+        this.rules.forEach((rule, order) => {
+            if (rule.platforms && !rule.platforms.includes(platform)) return;
+            if (rule.none) {
+                if (found.length === 0) {
+                    recommendations.push({ order, id: rule.id, urgency: rule.urgency, message: rule.message });
+                }
+                return;
+            }
+
+            const matched = found.filter(piiType => this.ruleCovers(rule, piiType));
+            const groups = rule.each ? matched.map(piiType => [piiType]) : [matched];
+            for (const types of groups) {
+                const count = types.reduce((n, piiType) => n + results[piiType].length, 0);
+                if (types.length === 0 || count < (rule.minCount || 1)) continue;
+
+                const severity = this.highestSeverity(types);
+                recommendations.push({
+                    order,
+                    id: rule.id,
+                    urgency: rule.urgency === 'severity' ? severity : rule.urgency,
+                    message: rule.message
+                        .replace(/\{count\}/g, count)
+                        .replace(/\{types\}/g, types.map(piiType => this.detector.getLabel(piiType)).join(', '))
+                        .replace(/\{severity\}/g, severity)
+                });
+            }
+        });
+
+        return recommendations
+            .sort((a, b) => this.urgencies.indexOf(a.urgency) - this.urgencies.indexOf(b.urgency) || a.order - b.order)
+            .map(({ order, ...recommendation }) => recommendation);
+    }
+
+    /**
+     * Whether a rule applies to a found PII type
+     */
+    ruleCovers(rule, piiType) {
+        if (rule.types && !rule.types.includes(piiType)) return false;
+        if (rule.custom) {
+            const type = this.detector.types[piiType];
+            if (!type || type.builtin) return false;
+        }
+        if (rule.minSeverity) {
+            const severities = this.detector.severities;
+            if (severities.indexOf(this.detector.getSeverity(piiType)) < severities.indexOf(rule.minSeverity)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Most severe severity among PII types
+     */
+    highestSeverity(types) {
+        const severities = this.detector.severities;
+        return types.reduce((highest, piiType) => {
+            const severity = this.detector.getSeverity(piiType);
+            return severities.indexOf(severity) > severities.indexOf(highest) ? severity : highest;
+        }, severities[0]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecommendationEngine;
+}
@@ -0,0 +1,212 @@
+/**
+ * OpenPII Watcher - Redactor (JavaScript)
+ * Pluggable redaction strategies for producing sanitized copies of documents
+ */
+
+class Redactor {
+    /**
+     * Options:
+     *   strategy - default strategy name (label, mask, pseudonym, hash, fake)
+     *   salt     - salt for hashing and fake values (random per instance by default)
+     */
+    constructor(detector, options = {}) {
+        this.detector = detector;
+        this.defaultStrategy = options.strategy || 'label';
+        this.salt = options.salt || Redactor.randomSalt();
+
+        this.strategies = {
+            label: (value, type) => this.labelValue(type),
+            mask: (value, type) => this.maskValue(value, type),
+            pseudonym: (value, type, state) => this.pseudonymValue(value, type, state),
+            hash: (value, type) => this.hashValue(value, type),
+            fake: (value, type) => this.fakeValue(value, type)
+        };
+
+        this.strategyLabels = {
+            label: 'Type placeholders',
+            mask: 'Partial masking',
+            pseudonym: 'Consistent pseudonyms',
+            hash: 'Salted hashes',
+            fake: 'Fake values (format-preserving)'
+        };
+
+        // Pseudonym templates; n is the per-document index of the value
+        this.pseudonymFormats = {
+            email: n => `person${n}@example.invalid`,
+            phone: n => `555-${String(100 + n).padStart(4, '0')}`,
+            name: n => `Person ${n}`,
+            address: n => `${n} Example Street`
+        };
+    }
+
+    /**
+     * Generate a random hex salt
+     */
+    static randomSalt() {
+        const bytes = new Uint8Array(16);
+        globalThis.crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Resolve the strategy name for a PII type
+     * strategy may be a name or a map of { default, [piiType]: name }
+     */
+    getStrategyFor(piiType, strategy) {
+        if (typeof strategy === 'string') {
+            return strategy;
+        }
+        const selection = strategy || {};
+        return selection[piiType] || selection.default || this.defaultStrategy;
+    }
+
+    /**
+     * Redact all PII in text
+     */
+    async redact(text, strategy = this.defaultStrategy) {
+        return this.redactSpans(text, this.detector.resolveSpans(text), strategy);
+    }
+
+    /**
+     * Redact pre-computed non-overlapping spans (sorted by start)
+     */
+    async redactSpans(text, spans, strategy = this.defaultStrategy) {
+        return (await this.redactWithSpans(text, spans, strategy)).text;
+    }
+
+    /**
+     * Redact spans and report where each replacement landed
+     * Returns: { text, spans } where spans[i] is spans[i] moved onto its
+     * replacement in the redacted text
+     */
+    async redactWithSpans(text, spans, strategy = this.defaultStrategy) {
+        const state = { pseudonyms: new Map(), counters: {} };
+        const replacements = new Map();
+
+        // Compute one replacement per distinct value so repeats stay consistent
+        for (const span of spans) {
+            const key = `${span.type}\u0000${span.value}`;
+            if (replacements.has(key)) continue;
+
+            const name = this.getStrategyFor(span.type, strategy);
+            const apply = this.strategies[name];
+            if (!apply) {
+                throw new Error(`Unknown redaction strategy: ${name}`);
+            }
+            replacements.set(key, await apply(span.value, span.type, state));
+        }
+
+        let redacted = '';
+        let cursor = 0;
+        const moved = [];
+        for (const span of spans) {
+            const replacement = replacements.get(`${span.type}\u0000${span.value}`);
+            redacted += text.substring(cursor, span.start);
+            moved.push({ ...span, start: redacted.length, end: redacted.length + replacement.length, value: replacement });
+            redacted += replacement;
+            cursor = span.end;
+        }
+
+        return { text: redacted + text.substring(cursor), spans: moved };
+    }
+
+    /**
+     * [EMAIL ADDRESSES]-style placeholder
+     */
+    labelValue(piiType) {
+        return `[${this.detector.getLabel(piiType).toUpperCase()}]`;
+    }
+
+    /**
+     * Partial masking, e.g. ***-**-1234 or j***@example.com
+     */
+    maskValue(value, piiType) {
+        // Obfuscated addresses ("jane (at) mail (dot) org") are masked as free text
+        const at = value.indexOf('@');
+        if (piiType === 'email' && at !== -1) {
+            return value[0] + '***' + value.substring(at);
+        }
+
+        const digitCount = (value.match(/\p{Nd}/gu) || []).length;
+        if (digitCount >= 7) {
+            // Numeric identifiers keep their last four digits (any script's
+            // digits, so full-width ones are masked too)
+            let remaining = digitCount - 4;
+            return value.replace(/\p{Nd}/gu, digit => (remaining-- > 0 ? '*' : digit));
+        }
+
+        // Free text keeps the first character of each word
+        return value.replace(/\S+/g, word => word[0] + '*'.repeat(word.length - 1));
+    }
+
+    /**
+     * Consistent pseudonym within a single redaction pass
+     */
+    pseudonymValue(value, piiType, state) {
+        const key = `${piiType}\u0000${value}`;
+        if (!state.pseudonyms.has(key)) {
+            const n = (state.counters[piiType] || 0) + 1;
+            state.counters[piiType] = n;
+
+            const format = this.pseudonymFormats[piiType];
+            state.pseudonyms.set(key, format ? format(n) : `[${piiType.toUpperCase()}-${n}]`);
+        }
+        return state.pseudonyms.get(key);
+    }
+
+    /**
+     * Salted SHA-256 hash, truncated for readability
+     */
+    async hashValue(value, piiType) {
+        const data = new TextEncoder().encode(`${this.salt}:${piiType}:${value}`);
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+        const hex = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+        return `[${piiType.toUpperCase()}:${hex.substring(0, 12)}]`;
+    }
+
+    /**
+     * Format-preserving fake value: digits and letters are swapped for
+     * random ones of the same class, punctuation and spacing are kept
+     */
+    fakeValue(value, piiType) {
+        const random = this.seededRandom(`${this.salt}:${piiType}:${value}`);
+        // Any script's digits and letters, so full-width or look-alike
+        // characters in obfuscated values are replaced too
+        const scramble = str => str.replace(/[\p{Nd}\p{L}]/gu, ch => {
+            if (/\p{Nd}/u.test(ch)) return String(Math.floor(random() * 10));
+            const letter = String.fromCharCode(97 + Math.floor(random() * 26));
+            return ch === ch.toUpperCase() ? letter.toUpperCase() : letter;
+        });
+
+        const at = value.indexOf('@');
+        if (piiType === 'email' && at !== -1) {
+            return scramble(value.substring(0, at)) + '@example.com';
+        }
+
+        return scramble(value);
+    }
+
+    /**
+     * Deterministic PRNG (FNV-1a seed + mulberry32) so a value always
+     * maps to the same fake within one salt
+     */
+    seededRandom(seedText) {
+        let seed = 0x811c9dc5;
+        for (let i = 0; i < seedText.length; i++) {
+            seed ^= seedText.charCodeAt(i);
+            seed = Math.imul(seed, 0x01000193);
+        }
+
+        return () => {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Redactor;
+}
@@ -0,0 +1,329 @@
+/**
+ * OpenPII Watcher - Report Exporter (JavaScript)
+ * Serializes a scan as JSON, CSV, SARIF or a printable HTML report
+ */
+
+class ReportExporter {
+    /**
+     * redactor supplies partial masking for masked exports
+     */
+    constructor(detector, redactor) {
+        this.detector = detector;
+        this.redactor = redactor;
+
+        this.formats = {
+            json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+            csv: { label: 'CSV (one row per finding)', extension: 'csv', mimeType: 'text/csv' },
+            sarif: { label: 'SARIF 2.1.0', extension: 'sarif', mimeType: 'application/sarif+json' },
+            html: { label: 'Printable HTML', extension: 'html', mimeType: 'text/html' }
+        };
+
+        // SARIF result level per severity
+        this.sarifLevels = { low: 'note', medium: 'warning', high: 'error', critical: 'error' };
+    }
+
+    /**
+     * Build a report object from a scan
+     * scan: { fetchResult, spans, risk, recommendations, scannedAt }
+     *   recommendations - [{ id, urgency, message }] from RecommendationEngine
+     * Options:
+     *   mask          - partially mask finding values (default false)
+     *   minConfidence - drop findings scored below this threshold
+     */
+    buildReport(scan, options = {}) {
+        const { fetchResult, spans } = scan;
+        const minConfidence = options.minConfidence || 0;
+        const locate = this.lineLocator(fetchResult.content);
+        const findings = [];
+        const summary = {};
+
+        for (const span of this.detector.flattenSpans(spans)) {
+            if (span.confidence < minConfidence) continue;
+
+            const position = locate(span.start);
+            const finding = {
+                type: span.type,
+                label: this.detector.getLabel(span.type),
+                severity: this.detector.getSeverity(span.type),
+                value: options.mask ? this.redactor.maskValue(span.value, span.type) : span.value,
+                start: span.start,
+                end: span.end,
+                line: position.line,
+                column: position.column,
+                confidence: span.confidence
+            };
+            if (span.normalized && !options.mask) {
+                finding.normalized = span.normalized;
+            }
+            if (span.validation) {
+                finding.validation = span.validation.label;
+            }
+            if (span.obfuscated) {
+                finding.obfuscated = true;
+            }
+            if (span.decodePath) {
+                finding.decodePath = span.decodePath.join(' → ');
+            }
+            findings.push(finding);
+            summary[span.type] = (summary[span.type] || 0) + 1;
+        }
+
+        return {
+            tool: 'OpenPII Watcher',
+            generatedAt: new Date().toISOString(),
+            scannedAt: scan.scannedAt || null,
+            source: {
+                url: fetchResult.source || null,
+                platform: fetchResult.platform || null,
+                method: fetchResult.method || null,
+                proxy: fetchResult.proxy || null
+            },
+            masked: Boolean(options.mask),
+            minConfidence: minConfidence,
+            risk: scan.risk.level,
+            riskScore: scan.risk.score !== undefined ? scan.risk.score : null,
+            riskBreakdown: (scan.risk.breakdown || []).map(item => ({
+                kind: item.kind,
+                label: item.label,
+                points: Math.round(item.points * 10) / 10,
+                detail: item.detail
+            })),
+            totals: { findings: findings.length, types: Object.keys(summary).length },
+            summary: summary,
+            findings: findings,
+            recommendations: scan.recommendations
+        };
+    }
+
+    /**
+     * offset => { line, column } (both 1-based) for a text
+     */
+    lineLocator(text) {
+        const lineStarts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') lineStarts.push(i + 1);
+        }
+
+        return offset => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (lineStarts[mid] <= offset) low = mid;
+                else high = mid - 1;
+            }
+            return { line: low + 1, column: offset - lineStarts[low] + 1 };
+        };
+    }
+
+    /**
+     * Serialize a report in one of this.formats
+     */
+    serialize(report, format) {
+        switch (format) {
+        case 'json': return this.toJSON(report);
+        case 'csv': return this.toCSV(report);
+        case 'sarif': return this.toSARIF(report);
+        case 'html': return this.toHTML(report);
+        default: throw new Error(`Unknown report format: ${format}`);
+        }
+    }
+
+    /**
+     * JSON report
+     */
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * CSV with one row per finding; scan-level fields repeat on each row
+     */
+    toCSV(report) {
+        const header = [
+            'source_url', 'platform', 'fetch_method', 'scanned_at', 'risk_level', 'risk_score',
+            'type', 'severity', 'value', 'start', 'end', 'line', 'column', 'confidence', 'validation',
+            'obfuscated', 'decode_path'
+        ];
+        const rows = report.findings.map(finding => [
+            report.source.url, report.source.platform, this.methodLabel(report.source),
+            report.scannedAt, report.risk, report.riskScore, finding.type, finding.severity, finding.value,
+            finding.start, finding.end, finding.line, finding.column, finding.confidence,
+            finding.validation || '', finding.obfuscated ? 'yes' : '', finding.decodePath || ''
+        ]);
+
+        return [header, ...rows].map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV cell when needed; cells that a spreadsheet would run as
+     * a formula are prefixed with an apostrophe
+     */
+    csvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text) && isNaN(Number(text))) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * SARIF 2.1.0 log: one rule per PII type, one result per finding
+     */
+    toSARIF(report) {
+        const ruleIds = [...new Set(report.findings.map(finding => finding.type))];
+        // Local file names and "pasted text" become relative URI references
+        const url = report.source.url || 'document';
+        const artifactUri = /^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : encodeURI(url);
+
+        const sarif = {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: report.tool,
+                        informationUri: 'https://github.com/SuryaCS719/cse253-openPII-web',
+                        rules: ruleIds.map(piiType => ({
+                            id: piiType,
+                            name: this.detector.getLabel(piiType),
+                            shortDescription: { text: `${this.detector.getLabel(piiType)} exposed in a shared document` },
+                            defaultConfiguration: { level: this.sarifLevels[this.detector.getSeverity(piiType)] || 'warning' },
+                            properties: { severity: this.detector.getSeverity(piiType) }
+                        }))
+                    }
+                },
+                invocations: [{
+                    executionSuccessful: true,
+                    endTimeUtc: report.scannedAt || report.generatedAt
+                }],
+                artifacts: [{
+                    location: { uri: artifactUri },
+                    properties: { platform: report.source.platform, fetchMethod: this.methodLabel(report.source) }
+                }],
+                results: report.findings.map(finding => ({
+                    ruleId: finding.type,
+                    ruleIndex: ruleIds.indexOf(finding.type),
+                    level: this.sarifLevels[finding.severity] || 'warning',
+                    message: { text: `${finding.label}: ${finding.value}` },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: artifactUri, index: 0 },
+                            region: {
+                                startLine: finding.line,
+                                startColumn: finding.column,
+                                charOffset: finding.start,
+                                charLength: finding.end - finding.start
+                            }
+                        }
+                    }],
+                    properties: {
+                        confidence: finding.confidence,
+                        severity: finding.severity,
+                        obfuscated: Boolean(finding.obfuscated),
+                        decodePath: finding.decodePath || null
+                    }
+                })),
+                properties: {
+                    riskLevel: report.risk,
+                    riskScore: report.riskScore,
+                    masked: report.masked,
+                    recommendations: report.recommendations
+                }
+            }]
+        };
+
+        return JSON.stringify(sarif, null, 2);
+    }
+
+    /**
+     * Self-contained HTML report (inline styles, no scripts), print-friendly
+     */
+    toHTML(report) {
+        const esc = text => String(text === null || text === undefined ? '' : text)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+
+        const summaryRows = Object.entries(report.summary).map(([piiType, count]) =>
+            `<tr><td>${esc(this.detector.getLabel(piiType))}</td><td>${esc(this.detector.getSeverity(piiType))}</td><td>${count}</td></tr>`
+        ).join('\n');
+
+        const findingRows = report.findings.map(finding =>
+            `<tr><td>${esc(finding.label)}</td><td class="value">${esc(finding.value)}</td>` +
+            `<td>${finding.line}:${finding.column}</td><td>${finding.start}-${finding.end}</td>` +
+            `<td>${Math.round(finding.confidence * 100)}%</td>` +
+            `<td>${esc([finding.validation, finding.obfuscated && 'obfuscated',
+                finding.decodePath && `decoded: ${finding.decodePath}`].filter(Boolean).join(', '))}</td></tr>`
+        ).join('\n');
+
+        const riskRows = report.riskBreakdown.map(item =>
+            `<tr><td>+${item.points}</td><td>${esc(item.label)}</td><td>${esc(item.detail)}</td></tr>`
+        ).join('\n');
+
+        const recommendations = report.recommendations.map(rec =>
+            `<li><strong>${esc(rec.urgency.toUpperCase())}</strong> ${esc(rec.message)}</li>`
+        ).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>OpenPII Watcher Report - ${esc(report.source.url)}</title>
+<style>
+body { font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; color: #1e293b; margin: 2rem; line-height: 1.5; }
+h1 { color: #2563eb; margin-bottom: 0.25rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; }
+dt { font-weight: 600; }
+dd { margin: 0; word-break: break-all; }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0 2rem; font-size: 0.9rem; }
+th, td { border: 1px solid #e2e8f0; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f8fafc; }
+td.value { font-family: monospace; word-break: break-all; }
+.risk-HIGH { color: #ef4444; } .risk-MEDIUM { color: #f59e0b; } .risk-LOW { color: #10b981; }
+@media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>OpenPII Watcher Report</h1>
+<p>Generated ${esc(report.generatedAt)}${report.masked ? ' &middot; values partially masked' : ''}</p>
+<dl>
+<dt>Source</dt><dd>${esc(report.source.url)}</dd>
+<dt>Platform</dt><dd>${esc(report.source.platform)}</dd>
+<dt>Fetch method</dt><dd>${esc(this.methodLabel(report.source))}</dd>
+<dt>Scanned</dt><dd>${esc(report.scannedAt)}</dd>
+<dt>Risk level</dt><dd class="risk-${esc(report.risk)}"><strong>${esc(report.risk)}</strong>${report.riskScore !== null ? ` (score ${report.riskScore}/100)` : ''}</dd>
+<dt>Findings</dt><dd>${report.totals.findings} across ${report.totals.types} type(s)</dd>
+</dl>
+<h2>Summary</h2>
+<table><thead><tr><th>Type</th><th>Severity</th><th>Findings</th></tr></thead><tbody>
+${summaryRows}
+</tbody></table>
+${riskRows ? `<h2>Risk Breakdown</h2>
+<table><thead><tr><th>Points</th><th>Driver</th><th>Detail</th></tr></thead><tbody>
+${riskRows}
+</tbody></table>
+` : ''}<h2>Recommendations</h2>
+<ul>
+${recommendations}
+</ul>
+<h2>Findings</h2>
+<table><thead><tr><th>Type</th><th>Value</th><th>Line:Col</th><th>Offsets</th><th>Confidence</th><th>Validation</th></tr></thead><tbody>
+${findingRows}
+</tbody></table>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * "direct", "proxy (name)" or "local"
+     */
+    methodLabel(source) {
+        return source.proxy ? `${source.method} (${source.proxy})` : (source.method || '');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportExporter;
+}
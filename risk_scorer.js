@@ -0,0 +1,223 @@
+/**
+ * OpenPII Watcher - Risk Scorer (JavaScript)
+ * Severity-weighted, explainable document risk scores
+ */
+
+class RiskScorer {
+    /**
+     * Options (all optional, see configure()):
+     *   severityWeights, typeWeights, combinations, exposure, thresholds, proximity
+     */
+    constructor(detector, options = {}) {
+        this.detector = detector;
+
+        // Points for the first unique value of a type, by severity
+        this.severityWeights = { low: 1, medium: 3, high: 10, critical: 25 };
+
+        // Per-type overrides of the severity weight
+        this.typeWeights = {};
+
+        // Types found close together (within `proximity` characters) likely
+        // describe the same person; each cluster adds the bonus
+        this.combinations = [
+            { id: 'identity_kit', label: 'Name with SSN', types: ['name', 'ssn'], bonus: 25 },
+            { id: 'full_identity', label: 'Name, SSN and address', types: ['name', 'ssn', 'address'], bonus: 15 },
+            { id: 'dob_identity', label: 'Name, date of birth and address', types: ['name', 'date_of_birth', 'address'], bonus: 15 },
+            { id: 'card_holder', label: 'Name with credit card', types: ['name', 'credit_card'], bonus: 15 },
+            { id: 'bank_holder', label: 'Name with IBAN', types: ['name', 'iban'], bonus: 10 },
+            { id: 'account_takeover', label: 'Email with password', types: ['email', 'generic_secret'], bonus: 15 },
+            { id: 'contact_card', label: 'Name, email and phone', types: ['name', 'email', 'phone'], bonus: 5 }
+        ];
+        this.proximity = 300;
+
+        // Score multiplier by platform: public pastes are indexed and
+        // scraped, link-shared documents need the link
+        this.exposure = {
+            pastebin: 1.5,
+            hastebin: 1.5,
+            rentry: 1.5,
+            github_gist: 1.3,
+            github_raw: 1.3,
+            default: 1.0
+        };
+
+        // Minimum 0-100 score for each level
+        this.thresholds = { high: 40, medium: 15 };
+
+        this.configure(options);
+    }
+
+    /**
+     * Override weights; objects are merged, combinations replaced
+     * config: { severityWeights, typeWeights, combinations, exposure, thresholds, proximity }
+     */
+    configure(config = {}) {
+        for (const key of ['severityWeights', 'typeWeights', 'exposure', 'thresholds']) {
+            if (config[key] === undefined) continue;
+            if (typeof config[key] !== 'object' || config[key] === null) {
+                throw new Error(`Risk config "${key}" must be an object`);
+            }
+            for (const [name, value] of Object.entries(config[key])) {
+                if (typeof value !== 'number' || !(value >= 0)) {
+                    throw new Error(`Risk config ${key}.${name} must be a non-negative number`);
+                }
+            }
+            this[key] = { ...this[key], ...config[key] };
+        }
+
+        if (config.combinations !== undefined) {
+            if (!Array.isArray(config.combinations)) {
+                throw new Error('Risk config "combinations" must be an array');
+            }
+            for (const combination of config.combinations) {
+                if (!combination.id || !Array.isArray(combination.types) || combination.types.length < 2 ||
+                    typeof combination.bonus !== 'number') {
+                    throw new Error('Each risk combination needs an id, two or more types and a numeric bonus');
+                }
+            }
+            this.combinations = config.combinations.map(c => ({ label: c.id, ...c }));
+        }
+
+        if (config.proximity !== undefined) {
+            if (!(config.proximity > 0)) {
+                throw new Error('Risk config "proximity" must be a positive number');
+            }
+            this.proximity = config.proximity;
+        }
+    }
+
+    /**
+     * Current weights as a JSON-serializable config
+     */
+    exportConfig() {
+        return {
+            severityWeights: { ...this.severityWeights },
+            typeWeights: { ...this.typeWeights },
+            combinations: this.combinations.map(c => ({ ...c, types: [...c.types] })),
+            exposure: { ...this.exposure },
+            thresholds: { ...this.thresholds },
+            proximity: this.proximity
+        };
+    }
+
+    /**
+     * Points for the first value of a type
+     */
+    getWeight(piiType) {
+        if (this.typeWeights[piiType] !== undefined) {
+            return this.typeWeights[piiType];
+        }
+        return this.severityWeights[this.detector.getSeverity(piiType)] || 0;
+    }
+
+    /**
+     * Score a document
+     * results: unique matches per type; spans: positioned findings;
+     * platform: where the document is shared
+     * Returns: { score (0-100), level, className, raw, breakdown: [{ kind, label, points, detail }] }
+     */
+    score(results, spans, platform) {
+        const breakdown = [];
+        let raw = 0;
+
+        // Each type: full weight for the first value, diminishing for more
+        for (const piiType in results) {
+            const count = results[piiType].length;
+            if (count === 0) continue;
+
+            const weight = this.getWeight(piiType);
+            const points = weight * (1 + Math.log2(count));
+            raw += points;
+            breakdown.push({
+                kind: 'type',
+                label: this.detector.getLabel(piiType),
+                points: points,
+                detail: `${count} unique × ${this.detector.getSeverity(piiType)} severity (weight ${weight})`
+            });
+        }
+
+        for (const combination of this.combinations) {
+            const clusters = this.countClusters(spans, combination.types);
+            if (clusters === 0) continue;
+
+            const points = combination.bonus * (1 + Math.log2(clusters));
+            raw += points;
+            breakdown.push({
+                kind: 'combination',
+                label: combination.label,
+                points: points,
+                detail: `${clusters} place(s) where ${combination.types.map(t => this.detector.getLabel(t)).join(' + ')} appear within ${this.proximity} characters`
+            });
+        }
+
+        const multiplier = this.exposure[platform] !== undefined ? this.exposure[platform] : this.exposure.default;
+        if (multiplier !== 1 && raw > 0) {
+            breakdown.push({
+                kind: 'exposure',
+                label: 'Platform exposure',
+                points: raw * (multiplier - 1),
+                detail: `× ${multiplier} for ${platform}`
+            });
+            raw *= multiplier;
+        }
+
+        breakdown.sort((a, b) => b.points - a.points);
+
+        // Map unbounded points onto 0-100 with diminishing returns
+        const score = Math.round(100 * (1 - Math.exp(-raw / 40)));
+        return { score, raw, breakdown, ...this.getLevel(score) };
+    }
+
+    /**
+     * Level and CSS class for a 0-100 score
+     */
+    getLevel(score) {
+        if (score >= this.thresholds.high) {
+            return { level: 'HIGH', className: 'risk-high' };
+        }
+        if (score >= this.thresholds.medium) {
+            return { level: 'MEDIUM', className: 'risk-medium' };
+        }
+        return { level: 'LOW', className: '' };
+    }
+
+    /**
+     * Number of separate places where every type of a combination occurs
+     * within `proximity` characters (sliding window over sorted spans;
+     * decoded companions count at their encoded segment)
+     */
+    countClusters(spans, types) {
+        const relevant = this.detector.flattenSpans(spans)
+            .filter(span => types.includes(span.type))
+            .sort((a, b) => a.start - b.start);
+        const counts = new Map();
+        let clusters = 0;
+        let left = 0;
+
+        for (let right = 0; right < relevant.length; right++) {
+            const span = relevant[right];
+            counts.set(span.type, (counts.get(span.type) || 0) + 1);
+
+            while (left <= right && relevant[left].start < span.end - this.proximity) {
+                const type = relevant[left].type;
+                counts.set(type, counts.get(type) - 1);
+                if (counts.get(type) === 0) counts.delete(type);
+                left++;
+            }
+
+            // A complete cluster; the next one starts after it
+            if (counts.size === types.length) {
+                clusters++;
+                counts.clear();
+                left = right + 1;
+            }
+        }
+
+        return clusters;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RiskScorer;
+}
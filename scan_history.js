@@ -0,0 +1,249 @@
+/**
+ * OpenPII Watcher - Scan History (JavaScript)
+ * Stores past scans in IndexedDB and diffs a rescan against an earlier one
+ */
+
+class ScanHistory {
+    /**
+     * Options:
+     *   dbName     - IndexedDB database name (default 'openpii-watcher')
+     *   maxEntries - oldest scans are dropped beyond this many (default 200)
+     */
+    constructor(detector, options = {}) {
+        this.detector = detector;
+        this.dbName = options.dbName || 'openpii-watcher';
+        this.maxEntries = options.maxEntries || 200;
+        this.db = null;
+        this.salt = null;
+
+        // Per-type canonical form of a value, so formatting changes
+        // (spacing, dashes, letter case) keep the same diff key
+        const compact = value => value.replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+        const words = value => value.replace(/\s+/g, ' ').trim().toLowerCase();
+        this.keyNormalizers = {
+            email: value => value.toLowerCase(),
+            phone: compact,
+            ssn: compact,
+            credit_card: compact,
+            iban: compact,
+            name: words,
+            address: words,
+            ipv6: value => value.toLowerCase()
+        };
+    }
+
+    /**
+     * Whether the browser provides IndexedDB
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('scans', { keyPath: 'id', autoIncrement: true });
+                    request.result.createObjectStore('meta');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    /**
+     * Run fn(store) in a transaction and resolve with its request's result
+     */
+    async transact(storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = fn(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Salt for hashed values, created once per browser profile
+     */
+    getSalt() {
+        if (!this.salt) {
+            this.salt = (async () => {
+                let salt = await this.transact('meta', 'readonly', store => store.get('salt'));
+                if (!salt) {
+                    salt = Redactor.randomSalt();
+                    await this.transact('meta', 'readwrite', store => store.put(salt, 'salt'));
+                }
+                return salt;
+            })();
+        }
+        return this.salt;
+    }
+
+    /**
+     * Diff key of a finding: its normalized value in canonical form
+     */
+    findingKey(finding) {
+        const value = finding.normalized || finding.value;
+        const normalize = this.keyNormalizers[finding.type] || (text => text.replace(/\s+/g, ' ').trim());
+        return normalize(value);
+    }
+
+    /**
+     * Salted SHA-256 of a type and key (hex)
+     */
+    async hashKey(piiType, key, salt) {
+        const data = new TextEncoder().encode(`${salt}:${piiType}:${key}`);
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * One finding per (type, key) with its occurrence count and best confidence
+     * hashed replaces each key with its salted hash
+     * Returns: [{ type, key, value, normalized, count, confidence }]
+     */
+    async collectFindings(spans, hashed) {
+        const findings = new Map();
+        for (const span of this.detector.flattenSpans(spans)) {
+            const key = this.findingKey(span);
+            const id = `${span.type}\u0000${key}`;
+            const finding = findings.get(id);
+            if (finding) {
+                finding.count++;
+                finding.confidence = Math.max(finding.confidence, span.confidence);
+            } else {
+                findings.set(id, {
+                    type: span.type,
+                    key: key,
+                    value: span.value,
+                    normalized: span.normalized || null,
+                    count: 1,
+                    confidence: span.confidence
+                });
+            }
+        }
+
+        const list = [...findings.values()];
+        if (hashed) {
+            const salt = await this.getSalt();
+            for (const finding of list) {
+                finding.key = await this.hashKey(finding.type, finding.key, salt);
+            }
+        }
+        return list;
+    }
+
+    /**
+     * Store a scan
+     * scan: { fetchResult, spans, risk, scannedAt }
+     * Options: hashed - store values only as salted hashes
+     * Returns the stored record (with its id)
+     */
+    async save(scan, options = {}) {
+        const { fetchResult } = scan;
+        const findings = await this.collectFindings(scan.spans, options.hashed);
+        if (options.hashed) {
+            // Only the hashes are stored
+            findings.forEach(finding => {
+                finding.value = null;
+                finding.normalized = null;
+            });
+        }
+
+        const record = {
+            source: fetchResult.source,
+            platform: fetchResult.platform,
+            method: fetchResult.method || null,
+            proxy: fetchResult.proxy || null,
+            scannedAt: scan.scannedAt,
+            hashed: Boolean(options.hashed),
+            risk: { score: scan.risk.score, level: scan.risk.level },
+            findings: findings
+        };
+
+        record.id = await this.transact('scans', 'readwrite', store => store.add(record));
+        await this.prune();
+        return record;
+    }
+
+    /**
+     * Drop the oldest scans beyond maxEntries
+     */
+    async prune() {
+        const keys = await this.transact('scans', 'readonly', store => store.getAllKeys());
+        const excess = keys.slice(0, Math.max(0, keys.length - this.maxEntries));
+        if (excess.length > 0) {
+            await this.transact('scans', 'readwrite', store => {
+                excess.forEach(key => store.delete(key));
+            });
+        }
+    }
+
+    /**
+     * Every stored scan, newest first
+     */
+    async list() {
+        const records = await this.transact('scans', 'readonly', store => store.getAll());
+        return records.reverse();
+    }
+
+    /**
+     * Delete one scan
+     */
+    async remove(id) {
+        await this.transact('scans', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Delete every scan
+     */
+    async clear() {
+        await this.transact('scans', 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Compare current spans with a stored scan, keyed on normalized values
+     * Findings below minConfidence are ignored on both sides
+     * Returns: { removed, remaining, added } - lists of findings; remaining
+     * and added entries carry current values (removed ones from a hashed
+     * scan have none), remaining ones also previousCount
+     */
+    async diff(previous, spans, options = {}) {
+        const minConfidence = options.minConfidence || 0;
+        const current = await this.collectFindings(
+            spans.filter(span => span.confidence >= minConfidence),
+            previous.hashed
+        );
+        const before = new Map(previous.findings
+            .filter(finding => finding.confidence >= minConfidence)
+            .map(finding => [`${finding.type}\u0000${finding.key}`, finding]));
+
+        const remaining = [];
+        const added = [];
+        for (const finding of current) {
+            const id = `${finding.type}\u0000${finding.key}`;
+            if (before.has(id)) {
+                remaining.push({ ...finding, previousCount: before.get(id).count });
+                before.delete(id);
+            } else {
+                added.push(finding);
+            }
+        }
+
+        return { removed: [...before.values()], remaining, added };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanHistory;
+}
@@ -0,0 +1,328 @@
+/**
+ * OpenPII Watcher - Structured Content Scanner (JavaScript)
+ * Parses CSV/TSV and JSON content and reports PII per column or JSON path
+ */
+
+class StructuredScanner {
+    constructor(detector) {
+        this.detector = detector;
+
+        // Delimiters tried when sniffing tabular text
+        this.delimiters = { csv: ',', tsv: '\t', ssv: ';' };
+
+        // Lines sampled to check a consistent column count
+        this.sampleLines = 20;
+    }
+
+    /**
+     * Detect whether content is JSON or delimited text
+     * hint: optional file name or platform (e.g. 'data.csv', 'google_sheets')
+     * Returns: 'json', 'csv', 'tsv', 'ssv' or null
+     */
+    detectFormat(content, hint = '') {
+        const trimmed = content.trim();
+
+        if (/^[[{]/.test(trimmed) || /\.json$/i.test(hint)) {
+            try {
+                const parsed = JSON.parse(trimmed);
+                return parsed !== null && typeof parsed === 'object' ? 'json' : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        // A header and one record are enough when the hint names a table;
+        // otherwise two lines of prose with as many commas would pass
+        const tableHint = /\.(?:csv|tsv)$/i.test(hint) || hint === 'google_sheets';
+        const lines = trimmed.split(/\r?\n/).filter(line => line.trim()).slice(0, this.sampleLines);
+        if (lines.length < (tableHint ? 2 : 3)) {
+            return null;
+        }
+
+        // Prefer the delimiter the hint names, then the one with consistent
+        // columns: first on the sample, then on every row
+        const consistent = rows => rows[0].length >= 2 && rows.every(row => row.length === rows[0].length);
+        const preferred = /\.tsv$/i.test(hint) ? ['tsv', 'csv', 'ssv'] : ['csv', 'tsv', 'ssv'];
+        for (const format of preferred) {
+            const delimiter = this.delimiters[format];
+            if (consistent(this.parseDelimited(lines.join('\n'), delimiter)) &&
+                consistent(this.parseDelimited(trimmed, delimiter))) {
+                return format;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse delimited text into rows of cells (RFC 4180 quoting)
+     */
+    parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"' && cell === '') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Spreadsheet-style column letter (0 => A, 26 => AA)
+     */
+    columnLetter(index) {
+        let letter = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+        }
+        return letter;
+    }
+
+    /**
+     * Header or key name as words: "date_of_birth" / "dateOfBirth" => "date of birth"
+     */
+    headerWords(header) {
+        return header
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/[_\-.]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * PII types whose context keywords appear in a header
+     */
+    headerHints(header) {
+        const words = this.headerWords(header);
+        return Object.keys(this.detector.types).filter(piiType => {
+            const pattern = this.detector.types[piiType].contextPattern;
+            return pattern && pattern.test(words);
+        });
+    }
+
+    /**
+     * A first row is a header when none of its cells look like data
+     */
+    looksLikeHeader(row) {
+        return row.every(cell => {
+            const value = cell.trim();
+            return value !== '' && !/^[\d\s.,+\-\/()$%]+$/.test(value) &&
+                   this.detector.resolveSpans(value).length === 0;
+        });
+    }
+
+    /**
+     * Detect PII in one field value, using the header as context
+     * The header is prefixed as "header: value" so the detector's context
+     * keywords (and keyword-led types such as dates of birth) see it
+     */
+    scanValue(header, value) {
+        const prefix = header ? `${this.headerWords(header)}: ` : '';
+        const text = prefix + value;
+
+        return this.detector.flattenSpans(this.detector.resolveSpans(text))
+            .filter(span => span.end > prefix.length)
+            .map(span => ({
+                ...span,
+                start: Math.max(0, span.start - prefix.length),
+                end: span.end - prefix.length
+            }));
+    }
+
+    /**
+     * Scan structured content
+     * Returns null if content is not CSV/TSV/JSON, otherwise:
+     * { format, records, fields: [{ field, label, header, hints, filled, matches: [{ type, record, value, normalized, confidence }] }] }
+     */
+    scan(content, hint = '') {
+        const format = this.detectFormat(content, hint);
+        if (!format) {
+            return null;
+        }
+        return format === 'json' ? this.scanJson(content) : this.scanDelimited(content, format);
+    }
+
+    /**
+     * Per-column findings for delimited text
+     */
+    scanDelimited(content, format) {
+        const rows = this.parseDelimited(content, this.delimiters[format]);
+        const hasHeader = this.looksLikeHeader(rows[0]);
+        const headers = hasHeader ? rows[0] : [];
+        const dataRows = hasHeader ? rows.slice(1) : rows;
+        const width = Math.max(...rows.map(row => row.length));
+        const fields = [];
+
+        for (let col = 0; col < width; col++) {
+            const header = (headers[col] || '').trim();
+            const letter = this.columnLetter(col);
+            fields.push({
+                field: letter,
+                label: header ? `Column ${letter} (${header})` : `Column ${letter}`,
+                header: header,
+                hints: header ? this.headerHints(header) : [],
+                filled: 0,
+                matches: []
+            });
+        }
+
+        dataRows.forEach((row, record) => {
+            row.forEach((cell, col) => {
+                if (!cell.trim()) return;
+
+                const field = fields[col];
+                field.filled++;
+                for (const span of this.scanValue(field.header, cell)) {
+                    field.matches.push(this.toFinding(span, record));
+                }
+            });
+        });
+
+        return { format, records: dataRows.length, fields };
+    }
+
+    /**
+     * Per-path findings for JSON
+     * Array indices collapse to [] so "users[].email" groups every record;
+     * a record is an element of the outermost array on a path (or the whole
+     * document when it has no arrays)
+     */
+    scanJson(content) {
+        const root = JSON.parse(content.trim());
+        const fields = new Map();
+        const records = new Set();
+
+        const visit = (value, path, key, record) => {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => {
+                    // Elements of a top-level array are the records themselves
+                    visit(item, path ? `${path}[]` : '', key, record === null ? `${path}[${index}]` : record);
+                });
+                return;
+            }
+            if (value !== null && typeof value === 'object') {
+                for (const [childKey, child] of Object.entries(value)) {
+                    visit(child, path ? `${path}.${childKey}` : childKey, childKey, record);
+                }
+                return;
+            }
+            if (value === null || value === '') return;
+
+            const recordId = record === null ? '' : record;
+            records.add(recordId);
+
+            if (!fields.has(path)) {
+                fields.set(path, {
+                    field: path,
+                    label: path || '(top-level values)',
+                    header: key,
+                    hints: key ? this.headerHints(key) : [],
+                    filled: 0,
+                    matches: []
+                });
+            }
+
+            const field = fields.get(path);
+            field.filled++;
+            for (const span of this.scanValue(key, String(value))) {
+                field.matches.push(this.toFinding(span, recordId));
+            }
+        };
+
+        visit(root, '', '', null);
+
+        return { format: 'json', records: records.size, fields: [...fields.values()] };
+    }
+
+    /**
+     * Field-level match record
+     */
+    toFinding(span, record) {
+        const finding = {
+            type: span.type,
+            record: record,
+            value: span.value,
+            confidence: span.confidence
+        };
+        if (span.normalized) {
+            finding.normalized = span.normalized;
+        }
+        return finding;
+    }
+
+    /**
+     * Summarize a scan: fields with findings above minConfidence
+     * Options: minConfidence; exclude - match => true to leave a match out
+     * (e.g. allowlisted values)
+     * Returns: [{ field, label, hints, filled, types: { [piiType]: { count, records } } }]
+     * where count is the number of matches and records the number of
+     * distinct records containing the type
+     */
+    summarize(result, options = {}) {
+        const minConfidence = options.minConfidence || 0;
+        const exclude = options.exclude || (() => false);
+        const summary = [];
+
+        for (const field of result.fields) {
+            const types = {};
+            for (const match of field.matches) {
+                if (match.confidence < minConfidence || exclude(match)) continue;
+
+                const entry = types[match.type] || (types[match.type] = { count: 0, records: new Set() });
+                entry.count++;
+                entry.records.add(match.record);
+            }
+
+            if (Object.keys(types).length === 0) continue;
+
+            for (const piiType in types) {
+                types[piiType].records = types[piiType].records.size;
+            }
+            summary.push({
+                field: field.field,
+                label: field.label,
+                hints: field.hints,
+                filled: field.filled,
+                types: types
+            });
+        }
+
+        return summary;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuredScanner;
+}
@@ -0,0 +1,375 @@
+/**
+ * OpenPII Watcher - Command-line Scanner (Node)
+ * Scans shared links, local files, directories or stdin with the same
+ * detector, fetcher and file extractor as the web app.
+ *
+ * Usage: node tools/scan.js [options] [target ...]
+ *
+ *   target                  shared link, file or directory; "-" (or no target) reads stdin
+ *   --format table|json     output format (default table)
+ *   --types a,b             only report these PII types (ids as in the rule config)
+ *   --min-confidence N      drop findings scored below N (0-1, default 0)
+ *   --fail-on SEVERITY      exit 1 when a finding is at least this severe
+ *                           (low, medium, high or critical; default never)
+ *   --mask                  partially mask finding values
+ *   --deobfuscate           undo "(at)"/"(dot)", spaced-out or full-width digits,
+ *                           invisible characters and look-alike letters first
+ *   --decode                also scan the contents of base64, URL-encoded, hex and
+ *                           quoted-printable payloads (nested up to 3 levels)
+ *   --rules FILE            load custom detection types, risk weights and recommendation
+ *                           rules (the web app's rule JSON)
+ *   --proxy URL             proxy for failed direct fetches, {url} template or prefix
+ *                           (repeatable; none by default, Node is not bound by CORS)
+ *   --timeout MS            per-request fetch timeout (default 15000)
+ *
+ * Exit status: 0 clean, 1 findings at or above --fail-on, 2 bad usage or a
+ * target that could not be read
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const PIIDetector = require('../pii_detector.js');
+const Redactor = require('../redactor.js');
+const RiskScorer = require('../risk_scorer.js');
+const ReportExporter = require('../report_exporter.js');
+const RecommendationEngine = require('../recommendation_engine.js');
+const ContentFetcher = require('../content_fetcher.js');
+const FileTextExtractor = require('../file_extractor.js');
+const Deobfuscator = require('../deobfuscator.js');
+const PayloadDecoder = require('../payload_decoder.js');
+
+// Directories never descended into
+const skippedDirectories = new Set(['.git', 'node_modules']);
+
+/**
+ * Print a usage error and exit with status 2
+ */
+function usageError(message) {
+    console.error(`scan: ${message}\nRun "node tools/scan.js --help" for usage.`);
+    process.exit(2);
+}
+
+/**
+ * Parse command-line options; exits on invalid input
+ */
+function parseOptions(detector, recommender, riskScorer) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', default: 'table' },
+                types: { type: 'string' },
+                'min-confidence': { type: 'string', default: '0' },
+                'fail-on': { type: 'string' },
+                mask: { type: 'boolean', default: false },
+                deobfuscate: { type: 'boolean', default: false },
+                decode: { type: 'boolean', default: false },
+                rules: { type: 'string' },
+                proxy: { type: 'string', multiple: true, default: [] },
+                timeout: { type: 'string', default: '15000' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        usageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        const usage = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(usage.replace(/^ \* ?/gm, '').trim());
+        process.exit(0);
+    }
+
+    // Custom rules first, so --types can name them
+    if (values.rules) {
+        try {
+            const config = JSON.parse(fs.readFileSync(values.rules, 'utf8'));
+            if (!config || (!config.types && !config.risk && !config.recommendations)) {
+                throw new Error('expected a "types" array or a "risk" or "recommendations" object');
+            }
+            if (config.types) {
+                detector.importConfig(config);
+            }
+            if (config.risk) {
+                riskScorer.configure(config.risk);
+            }
+            if (config.recommendations) {
+                recommender.configure(config.recommendations);
+            }
+        } catch (error) {
+            usageError(`could not load rules from ${values.rules}: ${error.message}`);
+        }
+    }
+
+    if (!['table', 'json'].includes(values.format)) {
+        usageError(`unknown format "${values.format}" (use table or json)`);
+    }
+
+    let types = null;
+    if (values.types) {
+        types = values.types.split(',').map(type => type.trim()).filter(Boolean);
+        const unknown = types.filter(type => !detector.getTypes().includes(type));
+        if (unknown.length > 0) {
+            usageError(`unknown PII type(s): ${unknown.join(', ')}. Known: ${detector.getTypes().join(', ')}`);
+        }
+    }
+
+    const minConfidence = Number(values['min-confidence']);
+    if (!(minConfidence >= 0 && minConfidence <= 1)) {
+        usageError('--min-confidence must be a number from 0 to 1');
+    }
+
+    const failOn = values['fail-on'] || null;
+    if (failOn && !detector.severities.includes(failOn)) {
+        usageError(`--fail-on must be one of ${detector.severities.join(', ')}`);
+    }
+
+    if (positionals.length === 0 && process.stdin.isTTY) {
+        usageError('no targets given (pipe text in or name a link, file or directory)');
+    }
+
+    const timeout = Number(values.timeout);
+    if (!(timeout > 0)) {
+        usageError('--timeout must be a positive number of milliseconds');
+    }
+
+    return {
+        format: values.format,
+        types,
+        minConfidence,
+        failOn,
+        mask: values.mask,
+        deobfuscate: values.deobfuscate,
+        decode: values.decode,
+        proxies: values.proxy,
+        timeout,
+        targets: positionals.length > 0 ? positionals : ['-']
+    };
+}
+
+/**
+ * Expand targets into { kind: 'url' | 'file' | 'stdin', name, explicit }
+ * Directories are walked recursively; files found there are skipped when binary
+ */
+function collectTargets(targets) {
+    const collected = [];
+
+    const walk = directory => {
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (!skippedDirectories.has(entry.name)) walk(fullPath);
+            } else if (entry.isFile()) {
+                collected.push({ kind: 'file', name: fullPath, explicit: false });
+            }
+        }
+    };
+
+    for (const target of targets) {
+        if (target === '-') {
+            collected.push({ kind: 'stdin', name: 'stdin', explicit: true });
+        } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) {
+            collected.push({ kind: 'url', name: target, explicit: true });
+        } else if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+            walk(target);
+        } else {
+            collected.push({ kind: 'file', name: target, explicit: true });
+        }
+    }
+
+    return collected;
+}
+
+/**
+ * Load a target's text as a fetch result
+ * { success, content, platform, method, source, error, errorCode }; null
+ * for binary files found while walking a directory
+ */
+async function loadTarget(target, fetcher, extractor) {
+    if (target.kind === 'url') {
+        const fetchResult = await fetcher.fetchContent(target.name);
+        return { ...fetchResult, source: target.name };
+    }
+
+    if (target.kind === 'stdin') {
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        return {
+            success: true,
+            content: Buffer.concat(chunks).toString('utf8'),
+            platform: 'stdin',
+            method: 'local',
+            source: 'stdin'
+        };
+    }
+
+    const local = { platform: 'local_file', method: 'local', source: target.name };
+    let bytes;
+    try {
+        const size = fs.statSync(target.name).size;
+        if (size > fetcher.maxContentSize) {
+            return { ...local, success: false, error: `File is larger than ${fetcher.maxContentSize} bytes`, errorCode: 'too_large' };
+        }
+        bytes = fs.readFileSync(target.name);
+    } catch (error) {
+        return { ...local, success: false, error: error.code === 'ENOENT' ? 'No such file or directory' : error.message };
+    }
+
+    // Word documents, HTML etc. go through the web app's extractor
+    if (extractor.getFormat(target.name)) {
+        const extracted = await extractor.extract(new File([bytes], path.basename(target.name)));
+        return { ...extracted, ...local };
+    }
+
+    // Anything else is scanned as UTF-8 text unless it looks binary
+    if (bytes.subarray(0, 8000).includes(0)) {
+        return target.explicit ? { ...local, success: false, error: 'Binary file' } : null;
+    }
+    return { ...local, success: true, content: bytes.toString('utf8') };
+}
+
+/**
+ * " (obfuscated: plain form)" for obfuscated findings (masked reports omit the plain form)
+ */
+function obfuscationNote(finding) {
+    if (!finding.obfuscated) return '';
+    return finding.normalized ? `  (obfuscated: ${finding.normalized})` : '  (obfuscated)';
+}
+
+/**
+ * " (decoded: base64 → URL-decoded)" for findings inside encoded payloads
+ */
+function decodeNote(finding) {
+    return finding.decodePath ? `  (decoded: ${finding.decodePath})` : '';
+}
+
+/**
+ * Print one report (or load error) as a table
+ */
+function printTable(entry, failRank, detector) {
+    if (entry.error) {
+        console.log(`${entry.source.url}\n  ERROR: ${entry.error}\n`);
+        return;
+    }
+
+    const report = entry;
+    const where = report.source.platform === 'local_file' || report.source.platform === 'stdin'
+        ? report.source.platform.replace('_', ' ')
+        : `${report.source.platform}, ${report.source.method}`;
+    console.log(`${report.source.url}  (${where})  risk ${report.risk} ${report.riskScore}/100, ${report.totals.findings} finding(s)`);
+
+    if (report.findings.length > 0) {
+        const rows = report.findings.map(finding => [
+            `${finding.line}:${finding.column}`,
+            finding.type,
+            finding.severity,
+            `${Math.round(finding.confidence * 100)}%`,
+            finding.value.replace(/\s+/g, ' ') + obfuscationNote(finding) + decodeNote(finding),
+            failRank !== -1 && detector.severities.indexOf(finding.severity) >= failRank ? '!' : ''
+        ]);
+        const widths = [0, 1, 2, 3].map(col => Math.max(...rows.map(row => row[col].length)));
+        for (const row of rows) {
+            console.log(`${row[5] || ' '} ${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2].padEnd(widths[2])}  ${row[3].padStart(widths[3])}  ${row[4]}`);
+        }
+        for (const rec of report.recommendations) {
+            console.log(`  > ${rec.urgency}: ${rec.message}`);
+        }
+    }
+    console.log('');
+}
+
+async function main() {
+    const detector = new PIIDetector();
+    const recommender = new RecommendationEngine(detector);
+    const riskScorer = new RiskScorer(detector);
+    const options = parseOptions(detector, recommender, riskScorer);
+    // Before detection, as in the app, so excluded types cannot win overlaps
+    if (options.types) {
+        detector.setEnabledTypes(options.types);
+    }
+    if (options.deobfuscate) {
+        detector.setNormalizer(new Deobfuscator());
+    }
+    if (options.decode) {
+        detector.setDecoder(new PayloadDecoder());
+    }
+
+    const redactor = new Redactor(detector);
+    const exporter = new ReportExporter(detector, redactor);
+    const extractor = new FileTextExtractor();
+    let fetcher;
+    try {
+        // Route fallback notes go to stderr, so stdout holds only the report
+        fetcher = new ContentFetcher({
+            proxies: options.proxies,
+            timeout: options.timeout,
+            logger: { log: message => console.error(message) }
+        });
+    } catch (error) {
+        usageError(error.message);
+    }
+
+    const failRank = options.failOn ? detector.severities.indexOf(options.failOn) : -1;
+    const entries = [];
+    let failing = 0;
+    let unreadable = 0;
+
+    for (const target of collectTargets(options.targets)) {
+        const fetchResult = await loadTarget(target, fetcher, extractor);
+        if (fetchResult === null) continue;
+
+        if (!fetchResult.success) {
+            unreadable++;
+            entries.push({ source: { url: target.name }, error: fetchResult.error, errorCode: fetchResult.errorCode || null });
+            continue;
+        }
+
+        // Flattened: decoded findings riding on other spans are reported too
+        const spans = detector.flattenSpans(detector.resolveSpans(fetchResult.content));
+        const visible = spans.filter(span => span.confidence >= options.minConfidence);
+        const unique = detector.uniqueFromSpans(visible);
+        const risk = riskScorer.score(unique, visible, fetchResult.platform);
+        const recommendations = recommender.recommend(unique, fetchResult.platform);
+
+        const report = exporter.buildReport(
+            { fetchResult, spans, risk, recommendations, scannedAt: new Date().toISOString() },
+            { mask: options.mask, minConfidence: options.minConfidence }
+        );
+        failing += report.findings.filter(finding =>
+            failRank !== -1 && detector.severities.indexOf(finding.severity) >= failRank).length;
+        entries.push(report);
+    }
+
+    if (options.format === 'json') {
+        console.log(JSON.stringify({
+            tool: 'OpenPII Watcher',
+            generatedAt: new Date().toISOString(),
+            failOn: options.failOn,
+            failing: failing,
+            reports: entries
+        }, null, 2));
+    } else {
+        entries.forEach(entry => printTable(entry, failRank, detector));
+        const findings = entries.reduce((n, entry) => n + (entry.error ? 0 : entry.totals.findings), 0);
+        console.log(`${entries.length} target(s) scanned, ${findings} finding(s)` +
+            (options.failOn ? `, ${failing} at or above ${options.failOn} (marked !)` : '') +
+            (unreadable ? `, ${unreadable} could not be read` : ''));
+    }
+
+    if (unreadable > 0) {
+        process.exitCode = 2;
+    } else if (failing > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`scan: ${error.message}`);
+    process.exitCode = 2;
+});
@@ -0,0 +1,157 @@
+/**
+ * OpenPII Watcher - Local Stub Server (Node)
+ * Serves the app plus endpoints that reproduce every fetch failure mode,
+ * and a small self-hosted CORS proxy.
+ *
+ * Usage: node tools/stub_server.js [port]   (default 8787)
+ *
+ *   /text                      200 with sample PII text
+ *   /status/{code}             responds with that HTTP status
+ *   /slow?ms=N                 responds after N ms (default 60000)
+ *   /flaky/{key}?fail=N&code=C first N requests for key fail with C (default 2 x 503), then 200
+ *   /large?mb=N[&chunked=1]    N MB body (with or without Content-Length)
+ *   /nocors                    200 without Access-Control-Allow-Origin
+ *   /login                     redirects to a sign-in page (accounts.google.com path)
+ *   /proxy?url={url}           self-hosted CORS proxy: fetches url and relays it
+ *   anything else              static files from the repository root
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const root = path.resolve(__dirname, '..');
+const flakyCounts = new Map();
+
+const sampleText = [
+    'Contact: Alice Johnson',
+    'Email: alice.johnson@example.com',
+    'Phone: (555) 123-4567',
+    'SSN: 123-45-6789',
+    'Ships to 742 Evergreen Terrace Road'
+].join('\n');
+
+const contentTypes = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.txt': 'text/plain; charset=utf-8'
+};
+
+/**
+ * Send a response; CORS is allowed unless cors is false
+ */
+function send(res, status, body, headers = {}, cors = true) {
+    res.writeHead(status, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        ...(cors ? { 'Access-Control-Allow-Origin': '*' } : {}),
+        ...headers
+    });
+    res.end(body);
+}
+
+/**
+ * Relay a target URL (the self-hosted proxy)
+ */
+async function proxy(res, target) {
+    if (!/^https?:\/\//.test(target || '')) {
+        send(res, 400, 'proxy: url parameter must be an http(s) URL');
+        return;
+    }
+
+    try {
+        const upstream = await fetch(target, { redirect: 'follow' });
+        const body = Buffer.from(await upstream.arrayBuffer());
+        send(res, upstream.status, body, {
+            'Content-Type': upstream.headers.get('Content-Type') || 'text/plain'
+        });
+    } catch (error) {
+        send(res, 502, `proxy: ${error.message}`);
+    }
+}
+
+/**
+ * Serve a file from the repository root
+ */
+function serveStatic(res, pathname) {
+    const file = path.join(root, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+    if (!file.startsWith(root + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        send(res, 404, 'Not found');
+        return;
+    }
+    send(res, 200, fs.readFileSync(file), {
+        'Content-Type': contentTypes[path.extname(file)] || 'application/octet-stream'
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const parts = url.pathname.split('/').filter(Boolean);
+
+    switch (parts[0]) {
+    case 'text':
+        send(res, 200, sampleText);
+        break;
+
+    case 'status':
+        send(res, parseInt(parts[1], 10) || 500, `Stub status ${parts[1]}`, { 'Retry-After': '1' });
+        break;
+
+    case 'slow': {
+        const timer = setTimeout(() => send(res, 200, sampleText), parseInt(url.searchParams.get('ms') || '60000', 10));
+        req.on('close', () => clearTimeout(timer));
+        break;
+    }
+
+    case 'flaky': {
+        const key = parts[1] || 'default';
+        const fail = parseInt(url.searchParams.get('fail') || '2', 10);
+        const count = (flakyCounts.get(key) || 0) + 1;
+        flakyCounts.set(key, count);
+        if (count <= fail) {
+            send(res, parseInt(url.searchParams.get('code') || '503', 10), `Stub failure ${count}/${fail}`, { 'Retry-After': '1' });
+        } else {
+            send(res, 200, sampleText);
+        }
+        break;
+    }
+
+    case 'large': {
+        const bytes = Math.round(parseFloat(url.searchParams.get('mb') || '10') * 1024 * 1024);
+        const line = `${sampleText}\n`;
+        const body = line.repeat(Math.ceil(bytes / line.length)).substring(0, bytes);
+        if (url.searchParams.get('chunked')) {
+            res.writeHead(200, { 'Content-Type': 'text/plain', 'Access-Control-Allow-Origin': '*' });
+            res.end(body); // No Content-Length: Node streams it chunked
+        } else {
+            send(res, 200, body, { 'Content-Length': Buffer.byteLength(body) });
+        }
+        break;
+    }
+
+    case 'nocors':
+        send(res, 200, sampleText, {}, false);
+        break;
+
+    case 'login':
+        send(res, 302, '', { Location: '/accounts.google.com/ServiceLogin' });
+        break;
+
+    case 'accounts.google.com':
+        send(res, 200, '<html><body>Sign in</body></html>', { 'Content-Type': 'text/html' });
+        break;
+
+    case 'proxy':
+        proxy(res, url.searchParams.get('url'));
+        break;
+
+    default:
+        serveStatic(res, url.pathname);
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Stub server on http://localhost:${port}/ (self-hosted proxy: http://localhost:${port}/proxy?url={url})`);
+});